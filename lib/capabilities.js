@@ -0,0 +1,77 @@
+var is = require('./is');
+var probe = require('./has-native-recursive');
+
+var BACKENDS = ['native', 'emulated', 'polling'];
+
+// The Node versions since which `fs.watch` supports `recursive`.
+// It was added on Linux in 19.1 but not reliable until 20.
+var NATIVE_RECURSIVE = {
+  darwin: '0.0.0',
+  win32: '0.0.0',
+  linux: '20.0.0'
+};
+
+function atLeast(version, target) {
+  var a = version.split('.').map(Number);
+  var b = target.split('.').map(Number);
+  for (var i = 0; i < b.length; ++i) {
+    if ((a[i] || 0) !== b[i]) {
+      return (a[i] || 0) > b[i];
+    }
+  }
+  return true;
+}
+
+/**
+ * Whether `fs.watch` supports `recursive` on a platform with a Node version,
+ * or `null` if it can't be told without trying.
+ */
+function supportsRecursive(platform, version) {
+  if (!NATIVE_RECURSIVE[platform]) {
+    return null;
+  }
+  return atLeast(version, NATIVE_RECURSIVE[platform]);
+}
+
+function assertBackend(backend) {
+  if (!is.nil(backend) && BACKENDS.indexOf(backend) === -1) {
+    throw new Error('Unknown backend: ' + backend);
+  }
+}
+
+// Probing the `dir` only for the unknown platforms.
+function hasNativeRecursive(fn, dir) {
+  var known = supportsRecursive(process.platform, process.versions.node);
+  if (known !== null) {
+    return fn(known);
+  }
+  probe(fn, dir);
+}
+
+/**
+ * What the current platform supports. `recursive` is `null` until it's
+ * probed on the platforms which can't be told from the Node version.
+ */
+function capabilities() {
+  var recursive = supportsRecursive(process.platform, process.versions.node);
+  if (recursive === null && probe.result() !== undefined) {
+    recursive = probe.result();
+  }
+  return {
+    platform: process.platform,
+    node: process.versions.node,
+    recursive: recursive,
+    backend: recursive ? 'native' : 'emulated',
+    backends: BACKENDS.filter(function(backend) {
+      return backend !== 'native' || recursive !== false;
+    })
+  };
+}
+
+module.exports = {
+  BACKENDS: BACKENDS,
+  supportsRecursive: supportsRecursive,
+  assertBackend: assertBackend,
+  hasNativeRecursive: hasNativeRecursive,
+  capabilities: capabilities
+};
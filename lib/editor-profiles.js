@@ -0,0 +1,103 @@
+var is = require('./is');
+
+/**
+ * Temporary files created by editors while saving.
+ *
+ * `test` tells whether a file name (without its directory) is one of them,
+ * and `target` optionally gives the name of the real file it's saved to.
+ * They're only ignored once gone, along with a change of the real file
+ * (or of a file next to them without `target`), unless `always` is set
+ * for the names which are never given to real files.
+ */
+var profiles = {
+  // file~
+  backup: {
+    test: /[^~]~$/,
+    target: function(name) {
+      return name.replace(/~$/, '');
+    }
+  },
+
+  // .#file, #file#
+  emacs: {
+    test: /^\.#.|^#.+#$/,
+    always: true,
+    target: function(name) {
+      return name.replace(/^\.#/, '').replace(/^#(.+)#$/, '$1');
+    }
+  },
+
+  // .file.swp, .file.swx, and the 4913 file used to probe permissions
+  vim: {
+    test: /^\..+\.sw[a-z]$|^4913$/,
+    always: true
+  },
+
+  // file___jb_tmp___, file___jb_old___
+  jetbrains: {
+    test: /.___jb_(tmp|old)___$/,
+    target: function(name) {
+      return name.replace(/___jb_(tmp|old)___$/, '');
+    }
+  },
+
+  // file.vsctmp
+  vscode: {
+    test: /.\.vsctmp$/,
+    target: function(name) {
+      return name.replace(/\.vsctmp$/, '');
+    }
+  },
+
+  // sedXXXXXX, written by `sed -i`, with at least one
+  // capital letter or digit to tell it from the words
+  sed: {
+    test: /^sed(?=[a-z]*[A-Z0-9])[a-zA-Z0-9]{6}$/
+  }
+};
+
+function matches(profile, name) {
+  return is.regExp(profile.test)
+    ? profile.test.test(name)
+    : !!profile.test(name);
+}
+
+/**
+ * Get the list of profiles from the `editorProfiles` option,
+ * which accepts profile names and custom profiles, or `false`.
+ */
+function resolve(option) {
+  if (option === false) {
+    return [];
+  }
+  if (is.nil(option) || option === true) {
+    option = Object.keys(profiles);
+  }
+  return [].concat(option).map(function(p) {
+    if (is.string(p)) {
+      if (!profiles[p]) {
+        throw new Error('Unknown editor profile: ' + p);
+      }
+      return profiles[p];
+    }
+    if (!p || !(is.regExp(p.test) || is.func(p.test))) {
+      throw new Error('Invalid editor profile: ' + p);
+    }
+    return p;
+  });
+}
+
+/**
+ * Find the profile a temporary file name belongs to.
+ */
+function match(list, name) {
+  return list.find(function(profile) {
+    return matches(profile, name);
+  }) || null;
+}
+
+module.exports = {
+  profiles: profiles,
+  resolve: resolve,
+  match: match
+};
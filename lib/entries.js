@@ -0,0 +1,223 @@
+var path = require('path');
+var is = require('./is');
+
+var hasOwn = Object.prototype.hasOwnProperty;
+
+// Shared by all the watchers in the process, so the ticks of
+// the watchers combined into one can be compared with each other.
+var tick = 0;
+
+// How many removed entries are remembered for `since()`.
+var HISTORY_LIMIT = 10000;
+
+function sameRecord(a, b) {
+  var x = a && a.stat;
+  var y = b && b.stat;
+  if (!x || !y) {
+    return !x && !y;
+  }
+  return x.size === y.size
+    && x.mtime.getTime() === y.mtime.getTime()
+    && x.ino === y.ino
+    && a.hash === b.hash;
+}
+
+// Whether an entry was there at a tick, going back one removal at most.
+function existedAt(info, at) {
+  if (info.born <= at && (!info.removed || info.removed > at)) {
+    return true;
+  }
+  return !!info.before
+    && info.before.born <= at
+    && info.before.removed > at;
+}
+
+/**
+ * Keeps track of the paths a watcher already knows about,
+ * so that a new file can be told apart from a modified one.
+ *
+ * Every change to them is stamped with a tick of a clock, so that
+ * what's been created, modified or removed since a tick can be told,
+ * as long as the removals since then are no more than `limit`.
+ */
+function Entries(limit) {
+  this.map = {};
+  this.index = {};
+  this.children = {};
+  this.limit = limit > 0 ? limit : HISTORY_LIMIT;
+  this.removed = 0;
+  this.pruned = 0;
+}
+
+Entries.clock = function() {
+  return tick;
+};
+
+Entries.prototype = {
+  has: function(name) {
+    return hasOwn.call(this.map, path.resolve(name));
+  },
+  get: function(name) {
+    var key = path.resolve(name);
+    return hasOwn.call(this.map, key) ? this.map[key] : null;
+  },
+  set: function(name, record) {
+    var key = path.resolve(name);
+    record = record || {};
+    var info = this.index[key];
+    if (!hasOwn.call(this.map, key)) {
+      if (info) {
+        this.removed--;
+      }
+      this.link(key);
+      this.index[key] = {
+        born: ++tick,
+        changed: tick,
+        removed: 0,
+        before: info && info.removed ? { born: info.born, removed: info.removed } : null
+      };
+    } else if (!sameRecord(this.map[key], record)) {
+      info.changed = ++tick;
+    }
+    this.index[key].dir = !!record.stat && record.stat.isDirectory();
+    this.map[key] = record;
+  },
+  // Removing a directory removes everything under it as well.
+  remove: function(name) {
+    var key = path.resolve(name);
+    var map = this.map;
+    var index = this.index;
+    var children = this.children;
+    var now = 0;
+    var count = 0;
+    this.subtree(key).forEach(function(k) {
+      delete children[k];
+      if (hasOwn.call(map, k)) {
+        delete map[k];
+        index[k].removed = index[k].changed = now || (now = ++tick);
+        count++;
+      }
+    });
+    this.unlink(key);
+    this.removed += count;
+    if (this.removed > this.limit) {
+      this.prune();
+    }
+  },
+  // Forget the oldest half of the removed entries, after which
+  // the changes since the ticks before them can't be told.
+  prune: function() {
+    var index = this.index;
+    var removed = Object.keys(index).filter(function(k) {
+      return index[k].removed;
+    }).sort(function(a, b) {
+      return index[a].removed - index[b].removed;
+    });
+    var dropped = removed.slice(0, removed.length - Math.floor(this.limit / 2));
+    if (!dropped.length) {
+      return;
+    }
+    this.pruned = index[dropped[dropped.length - 1]].removed;
+    dropped.forEach(function(k) {
+      delete index[k];
+    });
+    this.removed -= dropped.length;
+  },
+  // Moving a directory moves everything under it as well.
+  move: function(from, to) {
+    var self = this;
+    var key = path.resolve(from);
+    var dest = path.resolve(to);
+    var moved = {};
+    this.subtree(key).forEach(function(k) {
+      if (hasOwn.call(self.map, k)) {
+        moved[dest + k.slice(key.length)] = self.map[k];
+      }
+    });
+    this.remove(key);
+    Object.keys(moved).forEach(function(k) {
+      self.set(k, moved[k]);
+    });
+  },
+  keys: function() {
+    return Object.keys(this.map);
+  },
+  // Every path is listed under its directory, and so on up to the root
+  // through the directories which aren't known, so that the paths under
+  // one can be found without going through all of them.
+  link: function(key) {
+    var dir = path.dirname(key);
+    while (dir !== key) {
+      var linked = hasOwn.call(this.children, dir);
+      if (!linked) {
+        this.children[dir] = {};
+      }
+      this.children[dir][key] = true;
+      if (linked) {
+        return;
+      }
+      key = dir;
+      dir = path.dirname(dir);
+    }
+  },
+  // Up to the first directory which is known or has other paths under it.
+  unlink: function(key) {
+    var dir = path.dirname(key);
+    while (dir !== key && hasOwn.call(this.children, dir)) {
+      delete this.children[dir][key];
+      if (hasOwn.call(this.map, dir) || !is.emptyObject(this.children[dir])) {
+        return;
+      }
+      delete this.children[dir];
+      key = dir;
+      dir = path.dirname(dir);
+    }
+  },
+  // A path and all the ones under it, known or not.
+  subtree: function(key) {
+    var children = this.children;
+    var result = [key];
+    for (var i = 0; i < result.length; ++i) {
+      if (hasOwn.call(children, result[i])) {
+        Object.keys(children[result[i]]).forEach(function(k) {
+          result.push(k);
+        });
+      }
+    }
+    return result;
+  },
+  // The changes since a tick, by the full paths, leaving out
+  // the entries created and removed in the meantime. All the existing
+  // ones are given as created, with `fresh`, for a tick (or `null`)
+  // before the removals forgotten already.
+  since: function(at) {
+    var index = this.index;
+    var fresh = at === null || at < this.pruned;
+    var result = { fresh: fresh, created: [], updated: [], removed: [] };
+    if (fresh) {
+      at = 0;
+    }
+    Object.keys(index).forEach(function(key) {
+      var info = index[key];
+      var last = Math.max(info.changed, info.before ? info.before.removed : 0);
+      if (last <= at) {
+        return;
+      }
+      var before = existedAt(info, at);
+      if (!info.removed) {
+        result[before ? 'updated' : 'created'].push(key);
+      } else if (before) {
+        result.removed.push(key);
+      }
+    });
+    return result;
+  },
+  // When an entry is created, changed and removed, and whether
+  // it's a directory, which are kept after its removal.
+  info: function(name) {
+    var key = path.resolve(name);
+    return hasOwn.call(this.index, key) ? this.index[key] : null;
+  }
+};
+
+module.exports = Entries;
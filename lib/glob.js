@@ -0,0 +1,216 @@
+var path = require('path');
+var is = require('./is');
+
+/**
+ * A small glob matcher for watch targets and the `include`/`exclude` options,
+ * supporting `*`, `**`, `?`, `[...]`, `{a,b}` and negation with `!`.
+ * Patterns are separated with `/` and matched segment by segment.
+ */
+
+var GLOBSTAR = '**';
+
+function isGlob(str) {
+  return /^!|[*?[\]{}]/.test(str);
+}
+
+function toPosix(name) {
+  return name.split(path.sep).join('/');
+}
+
+function flat(arr) {
+  return [].concat.apply([], arr);
+}
+
+// `src/{a,b}/*.js` -> `src/a/*.js`, `src/b/*.js`
+function expand(pattern) {
+  var start = -1;
+  var depth = 0;
+  var parts = [];
+  var last;
+  for (var i = 0; i < pattern.length; ++i) {
+    var c = pattern[i];
+    if (c === '\\') {
+      i++;
+    } else if (c === '{') {
+      if (depth++ === 0) {
+        start = i;
+        last = i + 1;
+      }
+    } else if (c === '}' && depth && --depth === 0) {
+      break;
+    } else if (c === ',' && depth === 1) {
+      parts.push(pattern.slice(last, i));
+      last = i + 1;
+    }
+  }
+  // unbalanced braces are taken literally
+  if (start === -1 || depth) {
+    return [pattern];
+  }
+  parts.push(pattern.slice(last, i));
+  var head = pattern.slice(0, start);
+  var tail = pattern.slice(i + 1);
+  return flat(parts.map(function(p) {
+    return expand(head + p + tail);
+  }));
+}
+
+function escape(c) {
+  return c.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&');
+}
+
+function segmentToRegExp(segment) {
+  var source = '';
+  for (var i = 0; i < segment.length; ++i) {
+    var c = segment[i];
+    if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else if (c === '[' && segment.indexOf(']', i + 2) !== -1) {
+      var end = segment.indexOf(']', i + 2);
+      var range = segment.slice(i + 1, end).replace(/\\/g, '\\\\');
+      source += '[' + range.replace(/^!/, '^') + ']';
+      i = end;
+    } else if (c === '\\' && i + 1 < segment.length) {
+      source += escape(segment[++i]);
+    } else {
+      source += escape(c);
+    }
+  }
+  return new RegExp('^' + source + '$');
+}
+
+function compile(pattern) {
+  var negated = false;
+  while (pattern[0] === '!') {
+    negated = !negated;
+    pattern = pattern.slice(1);
+  }
+  return expand(pattern.replace(/^\.\//, '')).map(function(p) {
+    return {
+      negated: negated,
+      absolute: path.isAbsolute(p),
+      segments: p.split('/').map(function(s) {
+        return s === GLOBSTAR ? GLOBSTAR : segmentToRegExp(s);
+      })
+    };
+  });
+}
+
+function matchSegments(segments, parts, si, pi) {
+  if (si === segments.length) {
+    return pi === parts.length;
+  }
+  if (segments[si] === GLOBSTAR) {
+    for (var k = pi; k <= parts.length; ++k) {
+      if (matchSegments(segments, parts, si + 1, k)) return true;
+    }
+    return false;
+  }
+  return pi < parts.length
+    && segments[si].test(parts[pi])
+    && matchSegments(segments, parts, si + 1, pi + 1);
+}
+
+// Whether anything under a directory could match.
+function matchPrefix(segments, parts, si, pi) {
+  if (pi === parts.length) {
+    return si < segments.length;
+  }
+  if (si === segments.length) {
+    return false;
+  }
+  if (segments[si] === GLOBSTAR) {
+    return true;
+  }
+  return segments[si].test(parts[pi])
+    && matchPrefix(segments, parts, si + 1, pi + 1);
+}
+
+/**
+ * Relative patterns are matched against the path relative to `root`,
+ * and absolute ones against the full path.
+ */
+function Matcher(patterns, root) {
+  var self = this;
+  this.root = path.resolve(root || '.');
+  this.positive = [];
+  this.negative = [];
+  [].concat(patterns).forEach(function(pattern) {
+    compile(String(pattern)).forEach(function(p) {
+      (p.negated ? self.negative : self.positive).push(p);
+    });
+  });
+}
+
+Matcher.prototype = {
+  partsOf: function(p, name) {
+    var full = path.resolve(name);
+    return toPosix(p.absolute ? full : path.relative(this.root, full)).split('/');
+  },
+  some: function(list, name, fn) {
+    var self = this;
+    return list.some(function(p) {
+      return fn(p.segments, self.partsOf(p, name), 0, 0);
+    });
+  },
+  test: function(name) {
+    return (!this.positive.length || this.some(this.positive, name, matchSegments))
+      && !this.some(this.negative, name, matchSegments);
+  },
+  // The directory itself or any directory above it, up to the root, matches.
+  covers: function(name) {
+    var full = path.resolve(name);
+    while (true) {
+      if (this.test(full)) return true;
+      var parent = path.dirname(full);
+      if (full === this.root || parent === full || parent.length < this.root.length) {
+        return false;
+      }
+      full = parent;
+    }
+  },
+  mightContain: function(dir) {
+    return !this.positive.length
+      || this.some(this.positive, dir, matchPrefix);
+  }
+};
+
+/**
+ * Split watch targets into plain paths and glob patterns grouped by
+ * the directory they start from, with negated patterns to exclude.
+ */
+function targets(list) {
+  var paths = [];
+  var globs = {};
+  var exclude = [];
+  list.forEach(function(target) {
+    if (!is.string(target) || !isGlob(target) || is.exists(target)) {
+      return paths.push(target);
+    }
+    if (target[0] === '!') {
+      return exclude.push(toPosix(path.resolve(target.slice(1))));
+    }
+    expand(toPosix(target)).forEach(function(pattern) {
+      var segments = pattern.split('/');
+      var i = 0;
+      while (i < segments.length - 1 && !isGlob(segments[i])) i++;
+      var base = segments.slice(0, i).join('/') || (pattern[0] === '/' ? '/' : '.');
+      (globs[base] = globs[base] || []).push(segments.slice(i).join('/'));
+    });
+  });
+  return {
+    paths: paths,
+    globs: Object.keys(globs).map(function(base) {
+      return { base: base, include: globs[base] };
+    }),
+    exclude: exclude
+  };
+}
+
+module.exports = {
+  isGlob: isGlob,
+  Matcher: Matcher,
+  targets: targets
+};
@@ -45,60 +45,64 @@ TempStack.prototype = {
         }
       }
     }
+    catch (err) {
+      // left behind
+    }
     finally {
       if (is.func(fn)) fn();
     }
   }
 };
 
-var pending = false;
+// The callers waiting for the probe running.
+var pending = null;
 
-module.exports = function hasNativeRecursive(fn) {
+function settle(result) {
+  IS_SUPPORT = result;
+  var callbacks = pending;
+  pending = null;
+  callbacks.forEach(function(fn) {
+    fn(result);
+  });
+}
+
+/**
+ * Find out whether `fs.watch` supports `recursive` by watching a
+ * temporary directory, which is `os.tmpdir()` unless given.
+ * Only used when it can't be told from the platform and Node version.
+ */
+module.exports = function hasNativeRecursive(fn, dir) {
   if (!is.func(fn)) {
     return false;
   }
   if (IS_SUPPORT !== undefined) {
     return fn(IS_SUPPORT);
   }
-
-  if (!pending) {
-    pending = true;
-  }
-  // check again later
-  else {
-    return setTimeout(function() {
-      hasNativeRecursive(fn);
-    }, 300);
+  if (pending) {
+    return pending.push(fn);
   }
+  pending = [fn];
 
   var stack = new TempStack();
-  var parent = stack.create('dir', TEMP_DIR);
+  var parent = stack.create('dir', dir || TEMP_DIR);
   var child = stack.create('dir', parent);
   var file = stack.create('file', child);
-
-  stack.mkdir(parent, child);
-
-  var options = { recursive: true };
   var watcher;
 
   try {
-    watcher = fs.watch(parent, options);
+    stack.mkdir(parent, child);
+    watcher = fs.watch(parent, { recursive: true });
   } catch (e) {
-    if (e.code == 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
-      return fn(IS_SUPPORT = false);
-    } else {
-      throw e;
-    }
-  }
-
-  if (!watcher) {
-    return false;
+    // no way to find out in a read-only directory
+    return stack.cleanup(function() {
+      settle(false);
+    });
   }
 
   var timer = setTimeout(function() {
     watcher.close();
     stack.cleanup(function() {
-      fn(IS_SUPPORT = false);
+      settle(false);
     });
   }, 200);
 
@@ -107,9 +111,19 @@ module.exports = function hasNativeRecursive(fn) {
       watcher.close();
       clearTimeout(timer);
       stack.cleanup(function() {
-        fn(IS_SUPPORT = true);
+        settle(true);
       });
     }
   });
-  stack.write(file);
+
+  try {
+    stack.write(file);
+  } catch (e) {
+    // the timer gives up
+  }
+}
+
+// The result once probed.
+module.exports.result = function() {
+  return IS_SUPPORT;
 }
@@ -0,0 +1,113 @@
+var fs = require('fs');
+var path = require('path');
+var glob = require('./glob');
+
+function parseLine(line, dir) {
+  // trailing spaces are ignored unless escaped
+  line = line.replace(/([^\\])\s+$/, '$1');
+  if (!line || line[0] === '#') {
+    return null;
+  }
+  var negated = line[0] === '!';
+  if (negated) {
+    line = line.slice(1);
+  }
+  line = line.replace(/^\\([#!])/, '$1');
+  var dirOnly = /\/$/.test(line);
+  line = line.replace(/\/+$/, '');
+  if (!line) {
+    return null;
+  }
+  // a pattern with a slash is relative to the directory of the ignore file,
+  // otherwise it matches at any level below it
+  var anchored = line.indexOf('/') !== -1;
+  line = line.replace(/^\//, '');
+  // braces have no special meaning in ignore files
+  var pattern = line.replace(/^!/, '\\!').replace(/[{}]/g, '\\$&');
+  return {
+    negated: negated,
+    dirOnly: dirOnly,
+    matcher: new glob.Matcher(anchored ? pattern : '**/' + pattern, dir)
+  };
+}
+
+function readRules(file, dir) {
+  var content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    return [];
+  }
+  return content.split(/\r?\n/).map(function(line) {
+    return parseLine(line, dir);
+  }).filter(Boolean);
+}
+
+/**
+ * Rules read from ignore files like `.gitignore` in every directory
+ * under `root`, with the same semantics as git.
+ */
+function IgnoreRules(root, names) {
+  this.root = path.resolve(root);
+  this.names = [].concat(names);
+  this.cache = {};
+}
+
+IgnoreRules.prototype = {
+  isIgnoreFile: function(name) {
+    return this.names.indexOf(path.basename(name)) !== -1;
+  },
+
+  rulesOf: function(dir) {
+    if (!this.cache[dir]) {
+      this.cache[dir] = [].concat.apply([], this.names.map(function(name) {
+        return readRules(path.join(dir, name), dir);
+      }));
+    }
+    return this.cache[dir];
+  },
+
+  // Read the ignore files in a directory again.
+  reload: function(dir) {
+    delete this.cache[path.resolve(dir)];
+  },
+
+  // The rules in the closer directories take precedence.
+  matches: function(name, isDir) {
+    var self = this;
+    var result = false;
+    var dirs = [];
+    for (var dir = path.dirname(name); dir.length >= this.root.length; dir = path.dirname(dir)) {
+      dirs.unshift(dir);
+      if (dir === this.root) break;
+    }
+    dirs.forEach(function(dir) {
+      self.rulesOf(dir).forEach(function(rule) {
+        if ((!rule.dirOnly || isDir) && rule.matcher.test(name)) {
+          result = !rule.negated;
+        }
+      });
+    });
+    return result;
+  },
+
+  // Nothing can be included again once a directory above it is ignored.
+  ignored: function(name, isDir) {
+    var full = path.resolve(name);
+    var rel = path.relative(this.root, full);
+    if (!rel || /^\.\.($|[\\/])/.test(rel)) {
+      return false;
+    }
+    var parts = rel.split(path.sep);
+    var current = this.root;
+    for (var i = 0; i < parts.length; ++i) {
+      current = path.join(current, parts[i]);
+      if (this.matches(current, i < parts.length - 1 || isDir)) {
+        return true;
+      }
+    }
+    return false;
+  }
+};
+
+module.exports = IgnoreRules;
@@ -65,6 +65,29 @@ var is = {
       return fs.statSync(n).isDirectory()
     });
   },
+  // Returns the fs.Stats of the path, or `false` when it can't be accessed.
+  stat: function(name) {
+    return checkStat(name, function(n) {
+      return fs.statSync(n);
+    });
+  },
+  // Returns the fs.Stats of the path itself without following
+  // symbolic links, or `false` when it can't be accessed.
+  lstat: function(name) {
+    return checkStat(name, function(n) {
+      return fs.lstatSync(n);
+    });
+  },
+  // Returns the device and inode of the path along with its birth time,
+  // since inodes are reused right away, or `null` when it can't be accessed.
+  identity: function(name) {
+    var stat = is.stat(name);
+    return stat ? [stat.dev, stat.ino, stat.birthtimeMs].join(':') : null;
+  },
+  // Whether two fs.Stats have the same size and modification time.
+  sameStat: function(a, b) {
+    return a.size === b.size && a.mtime.getTime() === b.mtime.getTime();
+  },
   symbolicLink: function(name) {
     return checkStat(name, function(n) {
       return fs.lstatSync(n).isSymbolicLink();
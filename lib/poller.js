@@ -0,0 +1,163 @@
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+var events = require('events');
+var is = require('./is');
+
+function isGone(err) {
+  return /^(ENOENT|ENOTDIR)$/.test(err.code);
+}
+
+function statOf(fpath, followSymlinks, fn) {
+  fs.lstat(fpath, function(err, lstat) {
+    if (err || !followSymlinks || !lstat.isSymbolicLink()) {
+      return fn(err ? null : lstat);
+    }
+    fs.stat(fpath, function(err, stat) {
+      fn(err ? lstat : stat);
+    });
+  });
+}
+
+// The stats of the entries of a directory, or `null` if it's gone.
+function readStats(dir, followSymlinks, fn) {
+  fs.readdir(dir, function(err, names) {
+    if (err) {
+      return isGone(err) ? fn(null, null) : fn(err);
+    }
+    var stats = {};
+    var pending = names.length;
+    if (!pending) {
+      return fn(null, stats);
+    }
+    names.forEach(function(name) {
+      statOf(path.join(dir, name), followSymlinks, function(stat) {
+        if (stat) {
+          stats[name] = stat;
+        }
+        if (!--pending) {
+          fn(null, stats);
+        }
+      });
+    });
+  });
+}
+
+// The first stats are read synchronously, so that nothing changed
+// after the poller is created is missed.
+function readStatsSync(dir, followSymlinks) {
+  var stats = {};
+  var names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch (err) {
+    if (isGone(err)) {
+      return null;
+    }
+    throw err;
+  }
+  names.forEach(function(name) {
+    var fpath = path.join(dir, name);
+    var stat = followSymlinks
+      ? is.stat(fpath) || is.lstat(fpath)
+      : is.lstat(fpath);
+    if (stat) {
+      stats[name] = stat;
+    }
+  });
+  return stats;
+}
+
+// Changes to the content of subdirectories are left to their own pollers,
+// the same as fs.watch does.
+function isModified(a, b) {
+  if (a.ino !== b.ino) {
+    return true;
+  }
+  if (b.isDirectory()) {
+    return false;
+  }
+  return !is.sameStat(a, b) || a.ctime.getTime() !== b.ctime.getTime();
+}
+
+/**
+ * Polls the entries of a directory with `fs.stat` for filesystems where
+ * fs.watch doesn't work, and emits `change` events like a fs.FSWatcher.
+ */
+function Poller(dir, options) {
+  events.EventEmitter.call(this);
+  var self = this;
+  var interval = is.number(options.interval) ? options.interval : 100;
+  this.dir = dir;
+  this.followSymlinks = !!options.followSymlinks;
+  this.stats = readStatsSync(dir, this.followSymlinks) || {};
+  this.polling = false;
+  this.failed = false;
+  this.closed = false;
+  this.timer = setInterval(function() {
+    self.poll();
+  }, interval);
+  if (options.persistent === false) {
+    this.timer.unref();
+  }
+}
+
+util.inherits(Poller, events.EventEmitter);
+
+// Skipped while the previous poll is still reading the directory.
+Poller.prototype.poll = function() {
+  var self = this;
+  if (this.polling) {
+    return;
+  }
+  this.polling = true;
+  readStats(this.dir, this.followSymlinks, function(err, next) {
+    self.polling = false;
+    if (self.closed) {
+      return;
+    }
+    if (err) {
+      // only once until the directory can be read again
+      if (!self.failed) {
+        self.failed = true;
+        self.emit('error', err);
+      }
+      return;
+    }
+    self.failed = false;
+    self.update(next);
+  });
+}
+
+Poller.prototype.update = function(next) {
+  var self = this;
+  var prev = this.stats;
+
+  // the directory itself is gone
+  if (!next) {
+    this.close();
+    return this.emit('change', 'rename', null);
+  }
+
+  this.stats = next;
+  Object.keys(next).forEach(function(name) {
+    if (!prev[name]) {
+      self.emit('change', 'rename', name);
+    }
+    else if (isModified(prev[name], next[name])) {
+      self.emit('change', 'change', name);
+    }
+  });
+  Object.keys(prev).forEach(function(name) {
+    if (!next[name]) {
+      self.emit('change', 'rename', name);
+    }
+  });
+}
+
+Poller.prototype.close = function() {
+  this.closed = true;
+  clearInterval(this.timer);
+}
+
+module.exports = Poller;
@@ -0,0 +1,175 @@
+var fs = require('fs');
+var path = require('path');
+var util = require('util');
+var events = require('events');
+var is = require('./is');
+
+function keyOf(dir, options, recursive) {
+  return [
+    dir,
+    recursive ? 'recursive' : '',
+    options.persistent === false ? '' : 'persistent',
+    options.encoding || 'utf8'
+  ].join('|');
+}
+
+/**
+ * One subscriber of a shared fs.FSWatcher, which gets the events
+ * under its own directory with the names relative to it.
+ */
+function Subscription(pool, entry, dir, recursive) {
+  events.EventEmitter.call(this);
+  this.pool = pool;
+  this.entry = entry;
+  this.dir = dir;
+  this.recursive = recursive;
+  this.closed = false;
+}
+
+util.inherits(Subscription, events.EventEmitter);
+
+Subscription.prototype.deliver = function(evt, name) {
+  var base = this.entry.dir;
+  if (this.dir === base) {
+    // only the entries right under it without `recursive`
+    if (this.recursive || !name || String(name).indexOf(path.sep) === -1) {
+      this.emit('change', evt, name);
+    }
+    return;
+  }
+  if (!name) {
+    return;
+  }
+  var rel = path.relative(this.dir, path.join(base, String(name)));
+  if (!rel) {
+    // the same as fs.watch reports the directory itself
+    return this.emit('change', evt, path.basename(this.dir));
+  }
+  if (/^\.\.($|[\\/])/.test(rel)) {
+    return;
+  }
+  if (this.recursive || rel.indexOf(path.sep) === -1) {
+    this.emit('change', evt, rel);
+  }
+}
+
+Subscription.prototype.close = function() {
+  if (this.closed) {
+    return;
+  }
+  this.closed = true;
+  this.pool.release(this);
+  var self = this;
+  process.nextTick(function() {
+    self.emit('close');
+  });
+}
+
+/**
+ * Reference counted fs.FSWatcher handles shared by all the watchers
+ * of the same directory, or of the directories under one which is
+ * watched recursively, and closed once the last of them is closed.
+ */
+function Pool() {
+  this.entries = {};
+}
+
+Pool.prototype = {
+  watch: function(dir, options) {
+    var fullPath = path.resolve(dir);
+    var recursive = !!options.recursive;
+    var entry = this.find(fullPath, options);
+    if (!entry) {
+      var key = keyOf(fullPath, options, recursive);
+      entry = this.open(key, fullPath, options);
+    }
+    var subscription = new Subscription(this, entry, fullPath, recursive);
+    entry.subscribers.push(subscription);
+    return subscription;
+  },
+
+  // The handle of the directory itself, or a recursive one above it.
+  find: function(fullPath, options) {
+    var exact = this.usable(keyOf(fullPath, options, !!options.recursive));
+    if (exact) {
+      return exact;
+    }
+    for (var dir = fullPath; ; dir = path.dirname(dir)) {
+      var entry = this.usable(keyOf(dir, options, true));
+      if (entry) {
+        return entry;
+      }
+      if (path.dirname(dir) === dir) {
+        return null;
+      }
+    }
+  },
+
+  // A handle of a directory removed or replaced since watches nothing.
+  usable: function(key) {
+    var entry = this.entries[key];
+    if (entry && is.identity(entry.dir) !== entry.id) {
+      this.forget(entry);
+      return null;
+    }
+    return entry || null;
+  },
+
+  open: function(key, fullPath, options) {
+    var self = this;
+    var handle = fs.watch(fullPath, options);
+    var entry = {
+      key: key,
+      dir: fullPath,
+      id: is.identity(fullPath),
+      handle: handle,
+      subscribers: []
+    };
+    handle.on('change', function(evt, name) {
+      // the directory itself is removed
+      if (evt === 'rename' && !is.exists(fullPath)) {
+        self.forget(entry);
+      }
+      entry.subscribers.slice().forEach(function(subscription) {
+        subscription.deliver(evt, name);
+      });
+    });
+    handle.on('error', function(err) {
+      // not to be shared any more
+      self.forget(entry);
+      entry.subscribers.slice().forEach(function(subscription) {
+        subscription.emit('error', err);
+      });
+    });
+    this.entries[key] = entry;
+    return entry;
+  },
+
+  release: function(subscription) {
+    var entry = subscription.entry;
+    var index = entry.subscribers.indexOf(subscription);
+    if (index !== -1) {
+      entry.subscribers.splice(index, 1);
+    }
+    if (!entry.subscribers.length) {
+      this.forget(entry);
+      entry.handle.close();
+    }
+  },
+
+  forget: function(entry) {
+    if (this.entries[entry.key] === entry) {
+      delete this.entries[entry.key];
+    }
+  },
+
+  // How many handles are open.
+  size: function() {
+    return Object.keys(this.entries).length;
+  }
+};
+
+// One for the whole process.
+Pool.shared = new Pool();
+
+module.exports = Pool;
@@ -0,0 +1,45 @@
+import watchCallback, { Options, Change, ChangeDetails, PathName, Watcher } from './watch';
+
+type AsyncOptions = Options & {
+  /**
+   * Close the watcher when the signal is aborted,
+   * rejecting with an `AbortError`.
+   */
+  signal ?: AbortSignal;
+};
+
+declare interface AsyncWatcher<T> extends AsyncIterableIterator<T> {
+  /**
+   * Resolves once all the paths are being watched, and rejects
+   * if the watcher fails or is closed before that.
+   */
+  ready(): Promise<void>;
+
+  /**
+   * Resolves with all watched paths, once ready.
+   */
+  getWatchedPaths(): Promise<Array<string>>;
+
+  /**
+   * Close the watcher, ending the iteration.
+   */
+  close(): Promise<void>;
+
+  /**
+   * The underlying watcher.
+   */
+  readonly watcher: Watcher;
+}
+
+/**
+ * Watch for changes on `pathName`, iterating the changes
+ * with `for await` instead of passing them to a callback.
+ */
+declare function watch(pathName: PathName, options: AsyncOptions & { batch: true, details: true }): AsyncWatcher<Array<ChangeDetails>>;
+declare function watch(pathName: PathName, options: AsyncOptions & { batch: true }): AsyncWatcher<Array<Change>>;
+declare function watch(pathName: PathName, options: AsyncOptions & { details: true }): AsyncWatcher<ChangeDetails>;
+declare function watch(pathName: PathName, options?: AsyncOptions): AsyncWatcher<Change>;
+
+declare const waitFor: typeof watchCallback.waitFor;
+
+export { watch, waitFor };
@@ -0,0 +1,259 @@
+var watch = require('./watch');
+var is = require('./is');
+
+function abortError() {
+  var err = new Error('The operation was aborted');
+  err.name = 'AbortError';
+  err.code = 'ABORT_ERR';
+  return err;
+}
+
+/**
+ * Watch with an async iterable of the changes instead of a callback,
+ * which ends once the watcher is closed and throws on its errors.
+ *
+ *   for await (const { evt, name } of watch('./', { recursive: true })) {}
+ *
+ * Each change is `{ evt, name, from }` (or the details object with the
+ * `details` option), and with the `batch` option the arrays of changes
+ * within one delay window are given instead.
+ */
+function watchAsync(fpath, options) {
+  options = Object.assign({}, options);
+  var signal = options.signal;
+  delete options.signal;
+
+  var queue = [];
+  var pending = [];
+  var waiting = [];
+  var failure = null;
+  var done = false;
+
+  if (signal && signal.aborted) {
+    failure = abortError();
+  }
+
+  var watcher = watch(fpath, options);
+
+  function flush() {
+    while (pending.length && (queue.length || failure || done)) {
+      var p = pending.shift();
+      if (queue.length) {
+        p.resolve({ value: queue.shift(), done: false });
+      } else if (failure) {
+        p.reject(failure);
+      } else {
+        p.resolve({ value: undefined, done: true });
+      }
+    }
+  }
+
+  // Nothing is ready after a failure or once closed.
+  function stopWaiting() {
+    var err = failure || new Error('The watcher is closed before it is ready');
+    waiting.splice(0).forEach(function(w) {
+      w.reject(err);
+    });
+  }
+
+  function whenReady() {
+    return new Promise(function(resolve, reject) {
+      if (failure || done) {
+        return reject(failure || new Error('The watcher is closed before it is ready'));
+      }
+      var waiter = { reject: reject };
+      waiting.push(waiter);
+      watcher.getWatchedPaths(function(paths) {
+        var index = waiting.indexOf(waiter);
+        if (index !== -1) {
+          waiting.splice(index, 1);
+          resolve(paths);
+        }
+      });
+    });
+  }
+
+  function fail(err) {
+    if (!failure && !done) {
+      failure = err;
+      queue = [];
+      watcher.close();
+      flush();
+      stopWaiting();
+    }
+  }
+
+  function onAbort() {
+    fail(abortError());
+  }
+
+  watcher.on('aggregate', function(changes) {
+    if (failure || done) {
+      return;
+    }
+    if (options.batch) {
+      queue.push(changes);
+    } else {
+      queue.push.apply(queue, changes);
+    }
+    flush();
+  });
+
+  watcher.on('error', fail);
+
+  watcher.on('close', function() {
+    done = true;
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+    flush();
+    stopWaiting();
+  });
+
+  if (failure) {
+    watcher.close();
+  } else if (signal) {
+    signal.addEventListener('abort', onAbort);
+  }
+
+  var iterator = {
+    next: function() {
+      return new Promise(function(resolve, reject) {
+        pending.push({ resolve: resolve, reject: reject });
+        flush();
+      });
+    },
+
+    // Called when leaving a `for await` loop.
+    return: function() {
+      if (!watcher.isClosed()) {
+        watcher.close();
+      }
+      done = true;
+      queue = [];
+      flush();
+      return Promise.resolve({ value: undefined, done: true });
+    },
+
+    ready: function() {
+      return whenReady().then(function() {});
+    },
+
+    getWatchedPaths: whenReady,
+
+    close: function() {
+      return new Promise(function(resolve) {
+        if (watcher.isClosed()) {
+          return resolve();
+        }
+        watcher.once('close', function() {
+          resolve();
+        });
+        watcher.close();
+      });
+    },
+
+    watcher: watcher
+  };
+
+  if (Symbol.asyncIterator) {
+    iterator[Symbol.asyncIterator] = function() {
+      return iterator;
+    };
+  }
+
+  return iterator;
+}
+
+/**
+ * Resolve with the first change matching the `event` option,
+ * or with the last one once no more changes come for `settled` ms.
+ * The path doesn't have to exist yet.
+ */
+function waitFor(fpath, options) {
+  options = Object.assign({ allowMissing: true }, options);
+  var signal = options.signal;
+  var timeout = options.timeout;
+  var settled = options.settled;
+  var events = is.nil(options.event) ? null : [].concat(options.event);
+  ['signal', 'timeout', 'settled', 'event'].forEach(function(key) {
+    delete options[key];
+  });
+
+  return new Promise(function(resolve, reject) {
+    if (signal && signal.aborted) {
+      return reject(abortError());
+    }
+
+    var single = is.string(fpath);
+    var existed = single && is.exists(fpath);
+    var finished = false;
+    var timer, settleTimer, last;
+    var watcher = watch(fpath, options);
+
+    function finish(err, change) {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      clearTimeout(settleTimer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      watcher.close();
+      if (err) reject(err);
+      else resolve(change);
+    }
+
+    function onAbort() {
+      finish(abortError());
+    }
+
+    function handle(changes) {
+      for (var i = 0; i < changes.length; ++i) {
+        if (!events || events.indexOf(changes[i].evt) !== -1) {
+          if (!settled) {
+            return finish(null, changes[i]);
+          }
+          last = changes[i];
+        }
+      }
+      // any change puts off the settling
+      if (last) {
+        clearTimeout(settleTimer);
+        settleTimer = setTimeout(function() {
+          finish(null, last);
+        }, settled);
+      }
+    }
+
+    watcher.on('aggregate', handle);
+    watcher.on('error', finish);
+    watcher.on('close', function() {
+      finish(new Error('The watcher is closed before any matching change'));
+    });
+
+    // Report the path created or removed before it's being watched.
+    watcher.once('ready', function() {
+      if (single && !finished && is.exists(fpath) !== existed) {
+        handle([{ evt: existed ? 'remove' : 'create', name: fpath }]);
+      }
+    });
+
+    if (timeout) {
+      timer = setTimeout(function() {
+        var err = new Error('Timed out after ' + timeout + 'ms waiting for changes on ' + fpath);
+        err.code = 'ETIMEDOUT';
+        finish(err);
+      }, timeout);
+    }
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+  });
+}
+
+module.exports = {
+  watch: watchAsync,
+  waitFor: waitFor
+};
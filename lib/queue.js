@@ -0,0 +1,42 @@
+/**
+ * Runs the tasks given as `function(next) {}` in order,
+ * with no more than `concurrency` of them at a time.
+ */
+function Queue(concurrency) {
+  this.concurrency = concurrency > 0 ? concurrency : Infinity;
+  this.running = 0;
+  this.tasks = [];
+}
+
+Queue.prototype = {
+  push: function(task) {
+    this.tasks.push(task);
+    this.next();
+  },
+
+  next: function() {
+    while (this.running < this.concurrency && this.tasks.length) {
+      this.run(this.tasks.shift());
+    }
+  },
+
+  run: function(task) {
+    var self = this;
+    var called = false;
+    this.running++;
+    task(function() {
+      if (!called) {
+        called = true;
+        self.running--;
+        self.next();
+      }
+    });
+  },
+
+  // The tasks running or waiting.
+  size: function() {
+    return this.running + this.tasks.length;
+  }
+};
+
+module.exports = Queue;
@@ -0,0 +1,117 @@
+var fs = require('fs');
+var path = require('path');
+var is = require('./is');
+
+var VERSION = 1;
+
+var hasOwn = Object.prototype.hasOwnProperty;
+
+// What's saved about an entry.
+function recordOf(stat, hash) {
+  var record = {
+    dir: stat.isDirectory(),
+    size: stat.size,
+    mtime: stat.mtime.getTime(),
+    ino: stat.ino
+  };
+  if (hash) {
+    record.hash = hash;
+  }
+  return record;
+}
+
+// The modification time of a directory changes with its entries,
+// which are compared on their own.
+function isSame(prev, record, hashOf) {
+  if (prev.dir !== record.dir || prev.ino !== record.ino) {
+    return false;
+  }
+  if (record.dir) {
+    return true;
+  }
+  if (prev.size !== record.size) {
+    return false;
+  }
+  if (prev.mtime === record.mtime) {
+    return true;
+  }
+  // touched only
+  return !!prev.hash && prev.hash === (record.hash || hashOf());
+}
+
+function hasRemovedParent(key, prev, current) {
+  for (var dir = path.dirname(key); dir !== '.'; dir = path.dirname(dir)) {
+    if (hasOwn.call(prev, dir) && !hasOwn.call(current, dir)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Tell the changes between the saved records and the current ones,
+ * both keyed by the paths relative to the root. Only the topmost
+ * one of the removed entries is reported, like a removed directory.
+ */
+function diff(prev, current, hashOf) {
+  var changes = [];
+  Object.keys(current).sort().forEach(function(key) {
+    if (!hasOwn.call(prev, key)) {
+      changes.push({ evt: 'create', key: key });
+    } else if (!isSame(prev[key], current[key], function() { return hashOf(key); })) {
+      changes.push({ evt: 'update', key: key });
+    }
+  });
+  Object.keys(prev).sort().forEach(function(key) {
+    if (!hasOwn.call(current, key) && !hasRemovedParent(key, prev, current)) {
+      changes.push({ evt: 'remove', key: key });
+    }
+  });
+  return changes;
+}
+
+/**
+ * A state file remembering the watched trees between runs, so that
+ * the changes made while nothing was watching them can be reported.
+ */
+function Snapshot(options) {
+  options = is.string(options) ? { file: options } : options;
+  this.file = path.resolve(options.file);
+  this.interval = is.number(options.interval) ? options.interval : 0;
+  this.hash = !!options.hash;
+}
+
+Snapshot.prototype = {
+  readAll: function() {
+    try {
+      var data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (data && data.version === VERSION && data.roots) {
+        return data.roots;
+      }
+    } catch (err) {
+      // not saved yet, or unreadable
+    }
+    return {};
+  },
+
+  // The records of a root, or `null` if they have never been saved.
+  read: function(root) {
+    var roots = this.readAll();
+    return hasOwn.call(roots, root) ? roots[root] : null;
+  },
+
+  // Other roots saved in the same file are kept.
+  write: function(root, records) {
+    var roots = this.readAll();
+    roots[root] = records;
+    // replaced at once so that it's never read half written
+    var temp = this.file + '.' + process.pid + '.tmp';
+    fs.writeFileSync(temp, JSON.stringify({ version: VERSION, roots: roots }));
+    fs.renameSync(temp, this.file);
+  }
+};
+
+Snapshot.recordOf = recordOf;
+Snapshot.diff = diff;
+
+module.exports = Snapshot;
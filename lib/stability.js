@@ -0,0 +1,105 @@
+var is = require('./is');
+
+var EVENT_CREATE = 'create';
+var EVENT_REMOVE = 'remove';
+
+/**
+ * Holds back the changes of files which are still being written,
+ * until their size and modification time stay the same for
+ * `stabilityThreshold` ms, checking every `pollInterval` ms.
+ */
+function StabilityTracker(options, onStable) {
+  options = options === true ? {} : options;
+  this.threshold = is.number(options.stabilityThreshold)
+    ? options.stabilityThreshold
+    : 2000;
+  this.interval = is.number(options.pollInterval)
+    ? options.pollInterval
+    : 100;
+  this.onStable = onStable;
+  this.pending = {};
+  this.timer = null;
+}
+
+StabilityTracker.prototype = {
+  // Returns the messages which can be delivered right away.
+  hold: function(messages) {
+    var self = this;
+    var now = Date.now();
+    return messages.filter(function(msg) {
+      var pending = self.pending[msg.name];
+      if (msg.evt === EVENT_REMOVE) {
+        self.cancel(msg.name);
+        // it has never been reported
+        return !(pending && pending.msg.evt === EVENT_CREATE);
+      }
+      if (!msg.stat || !msg.stat.isFile() || msg.from) {
+        return true;
+      }
+      if (pending) {
+        pending.stat = msg.stat;
+        pending.since = now;
+      } else {
+        self.pending[msg.name] = { msg: msg, stat: msg.stat, since: now };
+      }
+      self.start();
+      return false;
+    });
+  },
+
+  cancel: function(name) {
+    delete this.pending[name];
+    if (is.emptyObject(this.pending)) {
+      this.stop();
+    }
+  },
+
+  start: function() {
+    var self = this;
+    if (!this.timer) {
+      this.timer = setInterval(function() {
+        self.check();
+      }, this.interval);
+    }
+  },
+
+  stop: function() {
+    clearInterval(this.timer);
+    this.timer = null;
+  },
+
+  clear: function() {
+    this.pending = {};
+    this.stop();
+  },
+
+  check: function() {
+    var self = this;
+    var now = Date.now();
+    var stable = [];
+    Object.keys(this.pending).forEach(function(name) {
+      var pending = self.pending[name];
+      var stat = is.lstat(name);
+      if (!stat) {
+        // gone before the removal is noticed
+        if (now - pending.since >= self.threshold) {
+          self.cancel(name);
+        }
+      }
+      else if (!is.sameStat(stat, pending.stat)) {
+        pending.stat = stat;
+        pending.since = now;
+      }
+      else if (now - pending.since >= self.threshold) {
+        pending.msg.stat = stat;
+        stable.push(pending.msg);
+        self.cancel(name);
+      }
+    });
+    if (stable.length) {
+      this.onStable(stable);
+    }
+  }
+};
+
+module.exports = StabilityTracker;
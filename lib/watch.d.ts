@@ -1,4 +1,4 @@
-import { FSWatcher } from 'fs';
+import { FSWatcher, Stats } from 'fs';
 
 /**
  *  Watch for changes on `filename`, where filename is either a file or a directory.
@@ -9,22 +9,71 @@ import { FSWatcher } from 'fs';
  *
  *  The listener callback gets two arguments, `(eventType, filePath)`,
  *  which is the same with `fs.watch`.
- *  `eventType` is either `update` or `remove`,
+ *  `eventType` is one of `create`, `update` or `remove`,
  *  `filePath` is the name of the file which triggered the event.
+ *  With the `renameEvent` option, `rename` events get the old name
+ *  as a third argument.
  *
  * @param {Filename} filename File or directory to watch.
  * @param {Options|string} options
  * @param {Function} callback
  */
 declare function watch(pathName: PathName): Watcher;
+declare function watch(pathName: PathName, options: Options & { details: true }, callback: DetailsCallback): Watcher;
+declare function watch(pathName: PathName, options: Options & { batch: true }, callback: BatchCallback): Watcher;
 declare function watch(pathName: PathName, options: Options) : Watcher;
 declare function watch(pathName: PathName, callback: Callback): Watcher;
 declare function watch(pathName: PathName, options: Options, callback: Callback): Watcher;
 
-type EventType = 'update' | 'remove';
-type Callback = (eventType: EventType, filePath: string) => any;
+type EventType = 'create' | 'update' | 'remove' | 'rename';
+type Callback = (eventType: EventType, filePath: string, oldPath?: string) => any;
+type DetailsCallback = (change: ChangeDetails) => any;
+type BatchCallback = (changes: Array<Change | ChangeDetails>) => any;
 type PathName = string | Array<string>;
+
+type Change = {
+  evt: EventType;
+  name: string;
+  from ?: string;
+};
+
+type ChangeDetails = {
+  evt: EventType;
+  /** The name of the file, in the given encoding. */
+  name: string;
+  /** The old name of a renamed file. */
+  from ?: string;
+  /** The absolute path of the file. */
+  path: string;
+  isDirectory: boolean;
+  /** Stats taken when the change is detected, or the last known ones on removal. */
+  stats: Stats | null;
+  /** Timestamp in milliseconds when the change is first detected. */
+  time: number;
+};
 type FilterReturn = boolean | symbol;
+type Backend = 'native' | 'emulated' | 'polling';
+
+type Capabilities = {
+  platform: string;
+  /** The version of Node. */
+  node: string;
+  /** Whether `fs.watch` supports `recursive`, or `null` if not found out yet. */
+  recursive: boolean | null;
+  /** The backend used for recursive watching by default. */
+  backend: Backend;
+  /** The backends available. */
+  backends: Backend[];
+};
+
+type EditorProfile = {
+  /** Tells whether a file name is a temporary file of the editor. */
+  test: RegExp | ((name: string) => boolean);
+  /** Gives the name of the real file it's saved to. */
+  target ?: (name: string) => string;
+  /** Ignores the files even before they're gone. */
+  always ?: boolean;
+};
 
 type Options = {
   /**
@@ -53,11 +102,167 @@ type Options = {
    */
   filter ?: RegExp | ((file: string, skip: symbol) => FilterReturn);
 
+  /**
+   * Glob patterns of the files to report, relative to the watched directory.
+   */
+  include ?: string | string[];
+
+  /**
+   * Glob patterns of the files and directories to leave out,
+   * relative to the watched directory.
+   */
+  exclude ?: string | string[];
+
+  /**
+   * Names of ignore files like `.gitignore` to read in every directory,
+   * leaving out what they ignore.
+   */
+  ignoreFiles ?: string[];
+
   /**
    * Delay time of the callback function.
    * @default 200
    */
   delay ?: number;
+
+  /**
+   * Report new files and directories with the `create` event.
+   * Set it to `false` to report them as `update` instead.
+   * @default true
+   */
+  createEvent ?: boolean;
+
+  /**
+   * Pair the removal and creation of the same file within
+   * one delay window into a single `rename` event.
+   * @default false
+   */
+  renameEvent ?: boolean;
+
+  /**
+   * Pass a single object describing each change to the listener,
+   * with the stats of the file and the time it is detected.
+   * @default false
+   */
+  details ?: boolean;
+
+  /**
+   * Pass all the changes within one delay window to the listener
+   * as an array, the same as the `aggregate` event.
+   * @default false
+   */
+  batch ?: boolean;
+
+  /**
+   * Ignore `update` events of files whose content has not changed.
+   * @default false
+   */
+  ignoreUnchanged ?: boolean;
+
+  /**
+   * Files larger than this (in bytes) are compared by size and
+   * modification time only with `ignoreUnchanged`.
+   * @default 1048576
+   */
+  hashLimit ?: number;
+
+  /**
+   * Temporary files of editors to be ignored, by the names of
+   * the built-in profiles or custom ones. `false` to disable.
+   * @default all the built-in profiles
+   */
+  editorProfiles ?: false | Array<string | EditorProfile>;
+
+  /**
+   * Hold the changes of a file until its size and modification time
+   * stay the same for `stabilityThreshold` ms.
+   * @default false
+   */
+  awaitWriteFinish ?: boolean | {
+    /** @default 2000 */
+    stabilityThreshold ?: number;
+    /** @default 100 */
+    pollInterval ?: number;
+  };
+
+  /**
+   * Poll with `fs.stat` instead of using `fs.watch`,
+   * for network mounts and the like where `fs.watch` is not reliable.
+   * @default false
+   */
+  usePolling ?: boolean;
+
+  /**
+   * Interval of polling in milliseconds with `usePolling`.
+   * @default 100
+   */
+  interval ?: number;
+
+  /**
+   * How often to try switching the directories polled
+   * because of ENOSPC or EMFILE back to `fs.watch`, in milliseconds.
+   * @default 5000
+   */
+  retryInterval ?: number;
+
+  /**
+   * Watch the targets of symbolic links, and report their changes
+   * under the path of the links.
+   * @default false
+   */
+  followSymlinks ?: boolean;
+
+  /**
+   * Wait for the path to be created if it doesn't exist,
+   * and keep waiting whenever it's removed.
+   * @default false
+   */
+  allowMissing ?: boolean;
+
+  /**
+   * How many levels of subdirectories below the root
+   * are watched and reported when watching recursively.
+   */
+  depth ?: number;
+
+  /**
+   * Report the existing files and directories with `update` events
+   * before the `ready` event.
+   * @default false
+   */
+  initial ?: boolean;
+
+  /**
+   * A file to save the state of the watched tree to, so that the
+   * changes made while not watching are reported on the next start.
+   */
+  snapshot ?: string | {
+    file: string;
+    /** Save it every this many milliseconds as well as on close. */
+    interval ?: number;
+    /** Compare the content of the files touched only. @default false */
+    hash ?: boolean;
+  };
+
+  /**
+   * How to watch the files, with the `recursive` option of `fs.watch`,
+   * by watching every directory on its own, or by polling.
+   * @default the best one supported
+   */
+  backend ?: Backend;
+
+  /**
+   * How many directories are read at the same time.
+   * @default 16
+   */
+  concurrency ?: number;
+
+  /**
+   * Where to try `fs.watch` out on the platforms whose support of
+   * recursive watching can't be told from the Node version.
+   * @default os.tmpdir()
+   */
+  probeDirectory ?: string;
 };
 
 declare interface Watcher extends FSWatcher {
@@ -70,6 +275,99 @@ declare interface Watcher extends FSWatcher {
    * Returns all watched paths.
    */
   getWatchedPaths(): Array<string>;
+
+  /**
+   * Watch more paths with the same options.
+   * Emits `ready:<path>` for each path once it's watched.
+   */
+  add(paths: PathName): void;
+
+  /**
+   * Stop watching paths, or the directories under the watched ones.
+   * Emits `close:<path>` for each path that was being watched.
+   */
+  unwatch(paths: PathName): void;
+
+  /**
+   * Stop reporting changes until `resume()` is called.
+   */
+  pause(): void;
+
+  /**
+   * Start reporting changes again. The net changes made while paused
+   * are reported with `replay: true`, and dropped otherwise.
+   */
+  resume(options?: { replay?: boolean }): void;
+
+  /**
+   * Returns a token of the current point in time for `since()`.
+   */
+  clock(): string;
+
+  /**
+   * Returns the paths created, modified or removed since the clock token.
+   */
+  since(clock: string): SinceResult;
+
+  /**
+   * Returns the known files and directories,
+   * or the ones matching a glob pattern relative to the watched directory.
+   */
+  list(pattern?: string | string[]): Array<string>;
+}
+
+type SinceResult = {
+  /** A token of the current point in time. */
+  clock: string;
+  /** Whether the token is unknown or too old, so all the existing paths are given as created. */
+  fresh: boolean;
+  created: Array<string>;
+  updated: Array<string>;
+  removed: Array<string>;
+};
+
+declare namespace watch {
+  /**
+   * The built-in editor profiles.
+   */
+  const editorProfiles: { [name: string]: EditorProfile };
+
+  /**
+   * Resolves with the first matching change, and rejects on timeout or abort.
+   * The path doesn't have to exist yet.
+   */
+  function waitFor(pathName: PathName, options: WaitForOptions & { details: true }): Promise<ChangeDetails>;
+  function waitFor(pathName: PathName, options?: WaitForOptions): Promise<Change>;
+
+  /**
+   * What the current platform supports.
+   */
+  function capabilities(): Capabilities;
 }
 
+type WaitForOptions = Options & {
+  /**
+   * Events to wait for.
+   * @default any event
+   */
+  event ?: EventType | EventType[];
+
+  /**
+   * Reject with an error of code `ETIMEDOUT` after this many milliseconds.
+   */
+  timeout ?: number;
+
+  /**
+   * Reject with an `AbortError` once the signal is aborted.
+   */
+  signal ?: AbortSignal;
+
+  /**
+   * Resolve with the last matching change only after
+   * no more changes for this many milliseconds.
+   */
+  settled ?: number;
+};
+
+export { Options, WaitForOptions, SinceResult, Capabilities, Backend, Change, ChangeDetails, EventType, PathName, Watcher };
 export default watch;
@@ -1,21 +1,36 @@
 var fs = require('fs');
+var crypto = require('crypto');
 var path = require('path');
 var util = require('util');
 var events = require('events');
 
-var hasNativeRecursive = require('./has-native-recursive');
+var capabilities = require('./capabilities');
 var is = require('./is');
-
+var editorProfiles = require('./editor-profiles');
+var glob = require('./glob');
+var IgnoreRules = require('./ignore');
+var StabilityTracker = require('./stability');
+var Poller = require('./poller');
+var Entries = require('./entries');
+var Snapshot = require('./snapshot');
+var Queue = require('./queue');
+var Pool = require('./pool');
+
+var EVENT_CREATE = 'create';
 var EVENT_UPDATE = 'update';
 var EVENT_REMOVE = 'remove';
+var EVENT_RENAME = 'rename';
 
 var SKIP_FLAG = Symbol('skip');
 
-function hasDup(arr) {
-  return arr.some(function(v, i, self) {
-    return self.indexOf(v) !== i;
-  });
-}
+// Files larger than this are compared by size and mtime only.
+var HASH_LIMIT = 1024 * 1024;
+
+// How many directories are read at the same time by default.
+var CONCURRENCY = 16;
+
+// Clock tokens from another process can't be compared with the ticks.
+var CLOCK_PREFIX = 'c:' + process.pid + '-' + Date.now().toString(36) + ':';
 
 function unique(arr) {
   return arr.filter(function(v, i, self) {
@@ -52,70 +67,349 @@ function guard(fn) {
   }
 }
 
-function composeMessage(names) {
-  return names.map(function(n) {
-    return is.exists(n)
-      ? [EVENT_UPDATE, n]
-      : [EVENT_REMOVE, n];
+// Combine the `include` and `exclude` glob patterns with the filter,
+// skipping the directories which can't have any matches in them.
+function globFilter(root, options) {
+  var include = !is.nil(options.include) && new glob.Matcher(options.include, root);
+  var exclude = !is.nil(options.exclude) && new glob.Matcher(options.exclude, root);
+  var filter = options.filter;
+  return function(name, skip) {
+    if (exclude && exclude.covers(name)) {
+      return skip || false;
+    }
+    if (include && !include.test(name)) {
+      if (!skip || !include.mightContain(name)) {
+        return skip || false;
+      }
+    }
+    return applyFilter(filter, name, skip);
+  }
+}
+
+// A removed path is a directory if it was known as one.
+function isDirectory(name, entries) {
+  if (is.exists(name)) {
+    return is.directory(name);
+  }
+  var info = entries.info(name);
+  return !!info && info.dir;
+}
+
+// Leave out what the ignore files in the watched directories ignore.
+function ignoreFilter(rules, filter, entries) {
+  return function(name, skip) {
+    if (rules.ignored(name, !!skip || isDirectory(name, entries))) {
+      return skip || false;
+    }
+    return applyFilter(filter, name, skip);
+  }
+}
+
+function applyFilter(filter, name, skip) {
+  if (is.func(filter)) {
+    return filter(name, skip);
+  }
+  // a RegExp filter never skips directories
+  if (is.regExp(filter)) {
+    return !!skip || filter.test(name);
+  }
+  return true;
+}
+
+// Inode numbers get reused right after a removal, so the size and
+// modification time, which survive a rename, are compared as well.
+function sameFile(a, b) {
+  return !!(a && b)
+    && a.dev === b.dev
+    && a.ino === b.ino
+    && is.sameStat(a, b);
+}
+
+// Pair each removed entry with a new one sharing the same device and inode,
+// since that is how a move inside the watched tree appears.
+function pairRenames(messages) {
+  var paired = [];
+  var removed = messages.filter(function(m) {
+    return m.evt === EVENT_REMOVE && m.prev && m.prev.stat;
+  });
+  if (!removed.length) {
+    return messages;
+  }
+  return messages.map(function(m) {
+    if (m.evt === EVENT_REMOVE || sameFile(m.prev && m.prev.stat, m.stat)) {
+      return m;
+    }
+    var from = removed.find(function(r) {
+      return paired.indexOf(r) === -1 && sameFile(r.prev.stat, m.stat);
+    });
+    if (!from) {
+      return m;
+    }
+    paired.push(from);
+    return { evt: EVENT_RENAME, name: m.name, from: from.name, stat: m.stat, hash: m.hash };
+  }).filter(function(m) {
+    return paired.indexOf(m) === -1;
   });
 }
 
-function getMessages(cache) {
-  var filtered = unique(cache);
+function isUnder(name, dir) {
+  return name.indexOf(dir + path.sep) === 0;
+}
 
-  // Saving file from an editor? If so, assuming the
-  // non-existed files in the cache are temporary files
-  // generated by an editor and thus be filtered.
-  var reg = /~$|^\.#|^##$/g;
-  var hasSpecialChar = cache.some(function(c) {
-    return reg.test(c);
+// What's under a renamed directory is moved along with it, so it's
+// left out unless it's been changed, or created, in the meantime.
+function foldMoved(messages, entries) {
+  var dirs = messages.filter(function(m) {
+    return m.evt === EVENT_RENAME && !!m.stat && m.stat.isDirectory();
   });
+  if (!dirs.length) {
+    return messages;
+  }
+  return messages.map(function(m) {
+    var dir = dirs.find(function(d) {
+      return isUnder(m.name, d.name) || isUnder(m.name, d.from);
+    });
+    if (!dir) {
+      return m;
+    }
+    if (m.evt === EVENT_REMOVE) {
+      return isUnder(m.name, dir.from) ? null : m;
+    }
+    var from = dir.from + m.name.slice(dir.name.length);
+    var prev = entries.get(from);
+    if (!isUnder(m.name, dir.name) || !prev || (m.evt === EVENT_RENAME && m.from !== from)) {
+      return m;
+    }
+    if (sameFile(prev.stat, m.stat) && prev.hash === m.hash) {
+      return null;
+    }
+    return { evt: EVENT_UPDATE, name: m.name, prev: prev, stat: m.stat, hash: m.hash };
+  }).filter(Boolean);
+}
 
-  if (hasSpecialChar) {
-    var dup = hasDup(cache.map(function(c) {
-      return c.replace(reg, '');
-    }));
-    if (dup) {
-      filtered = filtered.filter(function(m) {
-        return is.exists(m);
-      });
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+function hashFile(name) {
+  try {
+    return hashContent(fs.readFileSync(name));
+  } catch (err) {
+    return null;
+  }
+}
+
+// What's remembered about an entry: its stats, plus the hash of the
+// content for files no larger than `hashLimit` with `ignoreUnchanged`.
+function fingerprint(name, options) {
+  var stat = is.lstat(name) || null;
+  var record = { stat: stat };
+  if (options.ignoreUnchanged && stat && stat.isFile()) {
+    record.hash = hashWithin(name, stat.size, options);
+  }
+  return record;
+}
+
+function modifiedSince(name, stat) {
+  var current = is.lstat(name);
+  return !current || !is.sameStat(current, stat);
+}
+
+function hashLimit(options) {
+  return is.number(options.hashLimit) ? options.hashLimit : HASH_LIMIT;
+}
+
+// Files larger than `hashLimit` are not hashed.
+function hashWithin(name, size, options) {
+  return size <= hashLimit(options) ? hashFile(name) : null;
+}
+
+function isUnchanged(prev, record) {
+  var a = prev && prev.stat;
+  var b = record.stat;
+  if (!a || !b || !b.isFile() || a.size !== b.size) {
+    return false;
+  }
+  // the same size and mtime may still be a rewrite within the
+  // precision of the mtime, which only the content tells
+  if (prev.hash && record.hash) {
+    return prev.hash === record.hash;
+  }
+  // too large to be hashed
+  return is.sameStat(a, b);
+}
+
+function composeMessage(names, entries, options) {
+  var messages = names.map(function(n) {
+    var prev = entries.get(n);
+    if (!is.exists(n)) {
+      return { evt: EVENT_REMOVE, name: n, prev: prev };
     }
+    var evt = EVENT_UPDATE;
+    if (!prev && options.createEvent !== false) {
+      evt = EVENT_CREATE;
+    }
+    var record = fingerprint(n, options);
+    return { evt: evt, name: n, prev: prev, stat: record.stat, hash: record.hash };
+  });
+
+  if (options.renameEvent) {
+    messages = foldMoved(pairRenames(messages), entries);
+  }
+
+  // before the changes under the renamed directories
+  messages.forEach(function(m) {
+    if (m.evt === EVENT_RENAME) {
+      entries.move(m.from, m.name);
+    }
+  });
+  messages.forEach(function(m) {
+    if (m.evt === EVENT_REMOVE) {
+      entries.remove(m.name);
+    } else {
+      entries.set(m.name, { stat: m.stat, hash: m.hash });
+    }
+  });
+
+  if (options.ignoreUnchanged) {
+    messages = messages.filter(function(m) {
+      return m.evt !== EVENT_UPDATE || !isUnchanged(m.prev, m);
+    });
   }
 
-  return composeMessage(filtered);
+  return messages;
 }
 
-function debounce(info, fn) {
-  var timer, cache = [];
-  var encoding = info.options.encoding;
-  var delay = info.options.delay;
+// Whether a temporary file has been saved to a real file changed
+// in the same batch, which is the one next to it without `target`.
+function isSaved(name, profile, names, temporary) {
+  var dir = path.dirname(name);
+  var target = is.func(profile.target)
+    && path.join(dir, profile.target(path.basename(name)));
+  return names.some(function(other) {
+    if (temporary[other]) {
+      return false;
+    }
+    return target ? other === target : path.dirname(other) === dir;
+  });
+}
+
+function getMessages(cache, entries, options) {
+  var profiles = editorProfiles.resolve(options.editorProfiles);
+  var all = unique(cache);
+  var temporary = {};
+  all.forEach(function(name) {
+    var profile = editorProfiles.match(profiles, path.basename(name));
+    if (profile) {
+      temporary[name] = profile;
+    }
+  });
+
+  // Saving file from an editor? If so, the temporary files generated
+  // by the editor which have gone are collapsed into the real file
+  // they are saved to. Any other file of the same name is reported.
+  var names = all.filter(function(name) {
+    var profile = temporary[name];
+    if (!profile) {
+      return true;
+    }
+    if (profile.always) {
+      return false;
+    }
+    return is.exists(name) || !isSaved(name, profile, all, temporary);
+  });
+
+  return composeMessage(names, entries, options);
+}
+
+function encodeName(name, encoding) {
+  var buf = Buffer.from(name);
+  return encoding === 'buffer' ? buf : buf.toString(encoding);
+}
+
+// The object passed to the listener with the `details` option.
+function detailsOf(msg, time) {
+  var stats = msg.stat || (msg.prev && msg.prev.stat) || null;
+  return {
+    path: path.resolve(msg.name),
+    isDirectory: !!stats && stats.isDirectory(),
+    stats: stats,
+    time: time
+  };
+}
+
+function debounce(info, entries, fn, schedule) {
+  var timer, cache = [], times = {};
+  var options = info.options;
+  var encoding = options.encoding;
+  var delay = options.delay;
   if (!is.number(delay)) {
     delay = 200;
   }
+  var tracker = options.awaitWriteFinish
+    ? new StabilityTracker(options.awaitWriteFinish, function(messages) {
+        messages.forEach(function(msg) {
+          entries.set(msg.name, fingerprint(msg.name, options));
+        });
+        fn(messages.map(publish));
+      })
+    : null;
+  function encode(name) {
+    return encodeName(name, encoding);
+  }
+  function publish(msg) {
+    var out = { evt: msg.evt, name: encode(msg.name) };
+    if (msg.from) {
+      out.from = encode(msg.from);
+    }
+    if (options.details) {
+      Object.assign(out, detailsOf(msg, msg.time));
+    }
+    return out;
+  }
   function handle() {
-    getMessages(cache).forEach(function(msg) {
-      msg[1] = Buffer.from(msg[1]);
-      if (encoding !== 'buffer') {
-        msg[1] = msg[1].toString(encoding);
-      }
-      fn.apply(null, msg);
+    var messages = getMessages(cache, entries, options);
+    messages.forEach(function(msg) {
+      msg.time = times[msg.name] || Date.now();
     });
+    if (tracker) {
+      messages = tracker.hold(messages);
+    }
+    fn(messages.map(publish));
     timer = null;
     cache = [];
+    times = {};
   }
-  return function(rawEvt, name) {
+  function handleEvent(rawEvt, name) {
     cache.push(name);
+    if (!times[name]) {
+      times[name] = Date.now();
+    }
     if (!timer) {
-      timer = setTimeout(handle, delay);
+      timer = true;
+      schedule(handle, delay);
     }
   }
+  // Stop waiting for the files being written once the watcher is closed.
+  handleEvent.stop = function() {
+    if (tracker) {
+      tracker.clear();
+    }
+  };
+  return handleEvent;
+}
+
+function changeKey(change) {
+  return change.evt + (change.path || change.name);
 }
 
 function createDupsFilter() {
   var memo = {};
   return function(fn) {
     return function(evt, name) {
-      memo[evt + name] = [evt, name];
+      // a single object is passed with the `details` option
+      var key = is.string(evt) ? evt + name : changeKey(evt);
+      memo[key] = Array.prototype.slice.call(arguments);
       setTimeout(function() {
         Object.keys(memo).forEach(function(n) {
           fn.apply(null, memo[n]);
@@ -126,28 +420,110 @@ function createDupsFilter() {
   }
 }
 
-function getSubDirectories(dir, fn, done = function() {}) {
-  if (is.directory(dir)) {
-    fs.readdir(dir, function(err, all) {
-      if (err) {
-        // don't throw permission errors.
-        if (/^(EPERM|EACCES)$/.test(err.code)) {
-          console.warn('Warning: Cannot access %s.', dir);
-        } else {
-          throw err;
-        }
-      }
-      else {
-        all.forEach(function(f) {
-          var sdir = path.join(dir, f);
-          if (is.directory(sdir)) fn(sdir);
+// One debounce window for the child watchers of a watcher, which is used
+// like setTimeout, so that their changes within it are delivered together.
+function createWindow() {
+  var timer = null;
+  var handlers = [];
+  return function(handle, delay) {
+    handlers.push(handle);
+    if (!timer) {
+      timer = setTimeout(function() {
+        var all = handlers;
+        handlers = [];
+        timer = null;
+        all.forEach(function(fn) {
+          fn();
+        });
+      }, delay);
+    }
+  }
+}
+
+// Merge the batches which arrive at the same time into one.
+function createBatchDupsFilter() {
+  var memo = null;
+  return function(fn) {
+    return function(changes) {
+      if (!memo) {
+        memo = {};
+        setTimeout(function() {
+          var batch = Object.keys(memo).map(function(n) {
+            return memo[n];
+          });
+          memo = null;
+          fn(batch);
         });
-        done();
       }
+      changes.forEach(function(change) {
+        memo[changeKey(change)] = change;
+      });
+    }
+  }
+}
+
+function getSubDirectories(dir, fn, done = function() {}) {
+  fs.readdir(dir, { withFileTypes: true }, function(err, all) {
+    if (err) {
+      // don't throw permission errors.
+      if (/^(EPERM|EACCES)$/.test(err.code)) {
+        console.warn('Warning: Cannot access %s.', dir);
+      } else if (!/^(ENOENT|ENOTDIR)$/.test(err.code)) {
+        throw err;
+      }
+      return done();
+    }
+    all.forEach(function(d) {
+      var sdir = path.join(dir, nameOf(d));
+      // the type of a link is the one of its target
+      var isDir = is.string(d) || d.isSymbolicLink()
+        ? is.directory(sdir)
+        : d.isDirectory();
+      if (isDir) fn(sdir);
     });
-  } else {
     done();
-  }
+  });
+}
+
+// `fs.readdir()` gives names only before Node 10.10.
+function nameOf(dirent) {
+  return is.string(dirent) ? dirent : dirent.name;
+}
+
+// Read the entries of a directory with their records,
+// without blocking on the stats of each.
+function readEntries(dir, options, fn) {
+  fs.readdir(dir, { withFileTypes: true }, function(err, all) {
+    if (err) {
+      return fn(err);
+    }
+    var result = [];
+    var count = all.length;
+    if (!count) {
+      return fn(null, result);
+    }
+    all.forEach(function(d, i) {
+      var fpath = path.join(dir, nameOf(d));
+      fingerprintAsync(fpath, options, function(record) {
+        result[i] = { path: fpath, record: record };
+        if (!--count) fn(null, result);
+      });
+    });
+  });
+}
+
+// The same as `fingerprint()`, reading the content without blocking.
+function fingerprintAsync(name, options, fn) {
+  fs.lstat(name, function(err, stat) {
+    var record = { stat: err ? null : stat };
+    if (!options.ignoreUnchanged || !stat || !stat.isFile() || stat.size > hashLimit(options)) {
+      return fn(record);
+    }
+    fs.readFile(name, function(err, content) {
+      record.hash = err ? null : hashContent(content);
+      fn(record);
+    });
+  });
 }
 
 function semaphore(final) {
@@ -178,15 +554,131 @@ var deprecationWarning = util.deprecate(
   `(evt, filename) => {}` if you want to get the filename'
 );
 
+function inodeOf(stat) {
+  return stat.dev + ':' + stat.ino;
+}
+
+// A symbolic link pointing to one of the directories it's in.
+function isLoop(link, target) {
+  var id = inodeOf(target);
+  var dir = path.dirname(path.resolve(link));
+  while (true) {
+    var stat = is.stat(dir);
+    if (stat && inodeOf(stat) === id) {
+      return true;
+    }
+    var parent = path.dirname(dir);
+    if (parent === dir) {
+      return false;
+    }
+    dir = parent;
+  }
+}
+
+// The removal of a watched directory is reported without a name or under
+// its own name, so such an event is about the directory itself only when
+// it's gone or been replaced, and not about an entry of the same name.
+function isSelfEvent(info, rawName, id) {
+  if (info.type === 'link') {
+    return false;
+  }
+  if (rawName && rawName !== path.basename(info.fpath)) {
+    return false;
+  }
+  return id === null || is.identity(info.fpath) !== id;
+}
+
+// How many directories there are between a path and the root.
+function depthOf(root, name) {
+  return path.relative(root, name).split(path.sep).length - 1;
+}
+
+function hasDepth(watcher, options) {
+  return !!options.recursive && is.number(options.depth) && !!watcher._root;
+}
+
+// The nearest directory above a path which doesn't exist.
+function closestDirectory(fpath) {
+  var dir = path.dirname(path.resolve(fpath));
+  while (!is.directory(dir) && dir !== path.dirname(dir)) {
+    dir = path.dirname(dir);
+  }
+  return dir;
+}
+
+// Running out of inotify watches or file descriptors.
+function isOutOfHandles(err) {
+  return !!err && /^(ENOSPC|EMFILE)$/.test(err.code);
+}
+
+// Polling works on one directory at a time, and so does following
+// symbolic links since native recursive watching doesn't follow them.
+function useNativeRecursive(options, fn) {
+  if (options.usePolling || options.followSymlinks || options.backend === 'emulated') {
+    return fn(false);
+  }
+  if (options.backend === 'native') {
+    return fn(true);
+  }
+  capabilities.hasNativeRecursive(fn, options.probeDirectory);
+}
+
+// The fs.FSWatcher handles are shared with the other watchers in the process.
+function createWatcher(dir, options) {
+  return options.usePolling
+    ? new Poller(dir, options)
+    : Pool.shared.watch(dir, options);
+}
+
+// Attach the callback function passed to watch().
+function addListener(watcher, options, fn) {
+  if (!is.func(fn)) {
+    return;
+  }
+  if (options.batch) {
+    watcher.on('aggregate', fn);
+  } else {
+    if (fn.length === 1 && !options.details) deprecationWarning();
+    watcher.on('change', fn);
+  }
+}
+
 function Watcher() {
   events.EventEmitter.call(this);
   this.watchers = {};
+  this.entries = new Entries();
+  this._degraded = {};
+  this._degradedList = [];
+  this._reports = [];
+  this._links = {};
+  this._root = null;
+  this._options = {};
+  this._added = {};
+  this._unwatched = {};
+  this._paused = null;
+  this._ignore = null;
+  this._target = null;
+  this._waiting = null;
+  this._setup = null;
+  this._snapshot = null;
+  this._snapshotTimer = null;
+  this._queue = null;
+  this._window = null;
+  this._scan = { directories: 0, files: 0 };
   this._isReady = false;
   this._isClosed = false;
 }
 
 util.inherits(Watcher, events.EventEmitter);
 
+// The watchers behind the objects returned by watch().
+var exposed = new WeakMap();
+
+// Let a watcher returned by watch() share the debounce window of another.
+function shareWindow(watcher, batchWindow) {
+  exposed.get(watcher)._window = batchWindow;
+}
+
 Watcher.prototype.expose = function() {
   var expose = {};
   var self = this;
@@ -194,13 +686,21 @@ Watcher.prototype.expose = function() {
     'on', 'emit', 'once',
     'close', 'isClosed',
     'listeners', 'setMaxListeners', 'getMaxListeners',
-    'getWatchedPaths'
+    'getWatchedPaths', 'add', 'unwatch',
+    'pause', 'resume', 'clock', 'since', 'list'
   ];
+  // `add` is taken by the internal method adding fs.FSWatcher
+  var aliases = {
+    add: 'addPaths',
+    unwatch: 'unwatchPaths'
+  };
   methods.forEach(function(name) {
+    var method = aliases[name] || name;
     expose[name] = function() {
-      return self[name].apply(self, arguments);
+      return self[method].apply(self, arguments);
     }
   });
+  exposed.set(expose, this);
   return expose;
 }
 
@@ -215,6 +715,12 @@ Watcher.prototype.close = function(fullPath) {
     if (watcher && watcher.close) {
       watcher.close();
       delete self.watchers[fullPath];
+      // there might be room for the directories being polled
+      if (!(watcher instanceof Poller) && !is.emptyObject(self._degraded)) {
+        setImmediate(function() {
+          self.recover();
+        });
+      }
     }
     getSubDirectories(fullPath, function(fpath) {
       self.close(fpath);
@@ -228,28 +734,471 @@ Watcher.prototype.close = function(fullPath) {
       }
     });
     this.watchers = {};
+    if (this._waiting) {
+      this._waiting.watcher.close();
+      this._waiting = null;
+    }
+    Object.keys(this._added).forEach(function(p) {
+      self._added[p].close();
+    });
+    this._added = {};
   }
-  // Do not close the Watcher unless all child watchers are closed.
+  // Do not close the Watcher unless all child watchers are closed,
+  // or while it's waiting for the target to be created.
   // https://github.com/yuanchuan/node-watch/issues/75
-  if (is.emptyObject(self.watchers)) {
+  if (is.emptyObject(self.watchers) && !this._waiting && is.emptyObject(this._added)) {
     // should emit once
     if (!this._isClosed) {
+      if (this._snapshot && this._isReady) {
+        this.saveSnapshot();
+      }
       this._isClosed = true;
+      clearInterval(this._recoverTimer);
+      clearInterval(this._snapshotTimer);
+      if (this._handlePublicEvents) {
+        this._handlePublicEvents.stop();
+      }
       process.nextTick(emitClose, this);
     }
   }
 }
 
-Watcher.prototype.getWatchedPaths = function(fn) {
-  if (is.func(fn)) {
-    var self = this;
-    if (self._isReady) {
-      fn(Object.keys(self.watchers));
+// Write down the known entries to the snapshot file.
+Watcher.prototype.saveSnapshot = function() {
+  var self = this;
+  try {
+    this._snapshot.write(this._root, snapshotRecords(this, this._snapshot.hash));
+  } catch (err) {
+    process.nextTick(function() {
+      self.emit('error', err);
+    });
+  }
+}
+
+// Close the watchers of a directory and all its subdirectories
+// without closing the Watcher itself.
+Watcher.prototype.unwatchTree = function(dir) {
+  var self = this;
+  var fullPath = path.resolve(dir);
+  var prefix = fullPath + path.sep;
+  Object.keys(this.watchers).forEach(function(fpath) {
+    if (fpath === fullPath || fpath.indexOf(prefix) === 0) {
+      var watcher = self.watchers[fpath];
+      if (watcher && watcher.close) {
+        watcher.close();
+      }
+      delete self.watchers[fpath];
+    }
+  });
+}
+
+// Watch a directory by polling when the system runs out of file handles.
+Watcher.prototype.degrade = function(dir, options, counter) {
+  var self = this;
+  this._degraded[path.resolve(dir)] = options;
+  this.watchDirectory(dir, Object.assign({}, options, {
+    usePolling: true
+  }), null, counter);
+
+  if (!this._recoverTimer) {
+    var retry = is.number(options.retryInterval) ? options.retryInterval : 5000;
+    this._recoverTimer = setInterval(function() {
+      self.recover();
+    }, retry);
+    this._recoverTimer.unref();
+  }
+  emitDegraded(this);
+}
+
+// Switch the polled directories back to fs.watch if possible.
+Watcher.prototype.recover = function() {
+  var self = this;
+  if (this.isClosed()) {
+    return;
+  }
+  Object.keys(this._degraded).forEach(function(dir) {
+    var options = self._degraded[dir];
+    if (is.directory(dir)) {
+      try {
+        fs.watch(dir).close();
+      } catch (err) {
+        if (isOutOfHandles(err)) return;
+      }
+    }
+    delete self._degraded[dir];
+    self.unwatchTree(dir);
+    if (is.directory(dir)) {
+      self.watchDirectory(dir, options);
+    }
+  });
+  if (is.emptyObject(this._degraded)) {
+    clearInterval(this._recoverTimer);
+    this._recoverTimer = null;
+  }
+  emitDegraded(this);
+}
+
+// Wait for a path which doesn't exist yet by watching the closest
+// directory above it, and watch the path itself once it's created.
+Watcher.prototype.watchMissing = function(target, options) {
+  var self = this;
+  var dir = closestDirectory(target);
+  var watcher = createWatcher(dir, Object.assign({}, options, {
+    encoding: 'utf8',
+    recursive: false
+  }));
+  this._waiting = { dir: dir, watcher: watcher };
+  watcher.on('change', function() {
+    self.checkMissing(target, options);
+  });
+  watcher.on('error', function(err) {
+    if (!self.isClosed()) {
+      self.emit('error', err);
+    }
+  });
+  this.checkMissing(target, options);
+}
+
+Watcher.prototype.checkMissing = function(target, options) {
+  var self = this;
+  var waiting = this._waiting;
+  if (!waiting || this.isClosed()) {
+    return;
+  }
+  var created = is.exists(target);
+  // move closer, or further up when the directory is gone as well
+  if (!created && closestDirectory(target) === waiting.dir) {
+    return;
+  }
+  waiting.watcher.close();
+  this._waiting = null;
+  if (!created) {
+    return this.watchMissing(target, options);
+  }
+
+  var announce = function() {
+    if (self._handlePublicEvents) {
+      self._handlePublicEvents(EVENT_RENAME, target);
+    }
+  };
+  this.pinTarget();
+  if (is.file(target)) {
+    this.watchFile(target, options);
+    // so that it's reported as created
+    this.entries.remove(target);
+    announce();
+  } else {
+    this.watchDirectory(target, options, null, semaphore(announce));
+  }
+}
+
+// Entries further down from the root than the `depth` option allows
+// are neither watched nor reported.
+Watcher.prototype.beyondDepth = function(name, options) {
+  return hasDepth(this, options)
+    && depthOf(this._root, name) > options.depth;
+}
+
+Watcher.prototype.canDescend = function(dir, options) {
+  return !hasDepth(this, options)
+    || depthOf(this._root, dir) < options.depth;
+}
+
+// Remember the directory watched for the target, which is the directory
+// of a file target, so that its removal or replacement can be noticed.
+Watcher.prototype.pinTarget = function() {
+  var target = this._target;
+  var fullPath = path.resolve(target.path);
+  target.dir = is.directory(fullPath) ? fullPath : path.dirname(fullPath);
+  target.id = is.identity(target.dir);
+}
+
+// Go back to waiting once the target, or the directory of a target file,
+// has been removed. If it's been replaced by a new directory already,
+// as with `rm -rf dist && mkdir dist`, it's watched again right away.
+Watcher.prototype.checkTarget = function(removedDir) {
+  var target = this._target;
+  if (!target || this._waiting) {
+    return false;
+  }
+  var stat = is.stat(target.dir);
+  var replaced = !!removedDir && is.samePath(removedDir, target.dir);
+  if (!replaced && stat && stat.isDirectory() && is.identity(target.dir) === target.id) {
+    return false;
+  }
+  this.unwatchTree(target.dir);
+  this._links = {};
+  this.entries.remove(target.dir);
+  if (this._handlePublicEvents) {
+    this._handlePublicEvents(EVENT_RENAME, target.path);
+  }
+  this.watchMissing(target.path, target.options);
+  return true;
+}
+
+// Watch or stop watching the subdirectories of a directory
+// after the rules to skip them have changed.
+Watcher.prototype.rescan = function(dir, options) {
+  var self = this;
+  getSubDirectories(dir, function(d) {
+    var watched = !!self.watchers[path.resolve(d)];
+    var keep = !is.symbolicLink(d)
+      && !self.isUnwatched(d)
+      && self.canDescend(d, options)
+      && shouldNotSkip(d, options.filter);
+    if (watched && !keep) {
+      self.unwatchTree(d);
+    } else if (watched) {
+      self.rescan(d, options);
+    } else if (keep) {
+      self.watchDirectory(d, options);
+    }
+  });
+}
+
+Watcher.prototype.getWatchedPaths = function(fn) {
+  if (is.func(fn)) {
+    var self = this;
+    var collect = function() {
+      var added = Object.keys(self._added);
+      if (!added.length) {
+        return fn(Object.keys(self.watchers));
+      }
+      Promise.all(added.map(function(p) {
+        return new Promise(function(resolve) {
+          self._added[p].getWatchedPaths(resolve);
+        });
+      })).then(function(result) {
+        fn(unique(Object.keys(self.watchers).concat(flat1(result))));
+      });
+    };
+    if (self._isReady) {
+      collect();
+    } else {
+      self.once('ready', collect);
+    }
+  }
+}
+
+// A token of the current point in time for `since()`.
+Watcher.prototype.clock = function() {
+  return CLOCK_PREFIX + Entries.clock();
+}
+
+// The paths created, modified or removed since the clock token was
+// given, or all the existing ones as created for an unknown token
+// or one older than the removals remembered.
+Watcher.prototype.since = function(token) {
+  var self = this;
+  var at = clockTick(token);
+  var results = Object.keys(this._added).map(function(p) {
+    return self._added[p].since(token);
+  });
+  if (this._setup) {
+    var scope = scopeOf(this);
+    var changes = this.entries.since(at);
+    ['created', 'updated', 'removed'].forEach(function(type) {
+      changes[type] = changes[type].map(scope).filter(function(name) {
+        return name !== null;
+      });
+    });
+    results.push(changes);
+  }
+  var merged = mergeChanges(this.clock(), at === null, results);
+  // all of them, once the history of one is gone
+  return merged.fresh && at !== null ? this.since(null) : merged;
+}
+
+// The entries known to the watcher, or the ones matching a glob pattern
+// relative to the watched directory.
+Watcher.prototype.list = function(pattern) {
+  var self = this;
+  var list = flat1(Object.keys(this._added).map(function(p) {
+    return self._added[p].list(pattern);
+  }));
+  if (this._setup) {
+    var matcher = !is.nil(pattern) && new glob.Matcher(pattern, this._root);
+    knownEntries(this).forEach(function(entry) {
+      if (!matcher || matcher.test(entry.key)) {
+        list.push(entry.name);
+      }
+    });
+  }
+  return unique(list).sort();
+}
+
+function clockTick(token) {
+  if (!is.string(token) || token.indexOf(CLOCK_PREFIX) !== 0) {
+    return null;
+  }
+  var at = Number(token.slice(CLOCK_PREFIX.length));
+  return isNaN(at) ? null : at;
+}
+
+// Sorted, and `fresh` if any of the results is.
+function mergeChanges(clock, fresh, results) {
+  var merged = { clock: clock, fresh: fresh, created: [], updated: [], removed: [] };
+  results.forEach(function(result) {
+    merged.fresh = merged.fresh || !!result.fresh;
+    ['created', 'updated', 'removed'].forEach(function(type) {
+      merged[type] = merged[type].concat(result[type]);
+    });
+  });
+  ['created', 'updated', 'removed'].forEach(function(type) {
+    merged[type] = unique(merged[type]).sort();
+  });
+  return merged;
+}
+
+// Whether a path is watched already.
+Watcher.prototype.covers = function(fullPath) {
+  var root = this._root;
+  if (!root || this.isUnwatched(fullPath)) {
+    return false;
+  }
+  return fullPath === root
+    || (!!this._options.recursive && fullPath.indexOf(root + path.sep) === 0);
+}
+
+// Whether the path is watched by this watcher or the added ones.
+Watcher.prototype.watches = function(fullPath) {
+  var self = this;
+  var root = this._root;
+  if (this._added[fullPath]) {
+    return true;
+  }
+  if (root && (fullPath === root || fullPath.indexOf(root + path.sep) === 0)) {
+    return !this.isUnwatched(fullPath) && (fullPath === root
+      || !!this._options.recursive || path.dirname(fullPath) === root);
+  }
+  return Object.keys(this._added).some(function(a) {
+    return fullPath.indexOf(a + path.sep) === 0
+      && exposed.get(self._added[a]).watches(fullPath);
+  });
+}
+
+Watcher.prototype.isUnwatched = function(name) {
+  if (is.emptyObject(this._unwatched)) {
+    return false;
+  }
+  var fullPath = path.resolve(name);
+  return Object.keys(this._unwatched).some(function(p) {
+    return fullPath === p || fullPath.indexOf(p + path.sep) === 0;
+  });
+}
+
+// Watch more paths with the same options, each with a child watcher.
+Watcher.prototype.addPaths = function(paths) {
+  var self = this;
+  if (!this._filterDups) {
+    this._filterDups = createDupsFilter();
+    this._filterBatchDups = createBatchDupsFilter();
+    this._window = createWindow();
+  }
+  [].concat(paths).forEach(function(p) {
+    var fullPath = path.resolve(p);
+    if (self._added[fullPath] || self.covers(fullPath)) {
+      return process.nextTick(function() {
+        self.emit('ready:' + p);
+      });
+    }
+    var child = watch(p, self._options);
+    if (self._paused) {
+      child.pause();
+    }
+    self._added[fullPath] = child;
+    shareWindow(child, self._window);
+    forward(child, self, self._filterDups, self._filterBatchDups);
+    child.once('ready', function() {
+      self.emit('ready:' + p);
+    });
+  });
+}
+
+// Stop reporting changes for a while, without closing the watchers.
+Watcher.prototype.pause = function() {
+  var self = this;
+  if (!this._paused) {
+    this._paused = {};
+  }
+  Object.keys(this._added).forEach(function(p) {
+    self._added[p].pause();
+  });
+}
+
+// Report the net changes made while paused with the `replay` option,
+// or just take note of them otherwise.
+Watcher.prototype.resume = function(options) {
+  var self = this;
+  var replay = !!(options && options.replay);
+  var names = Object.keys(this._paused || {});
+  this._paused = null;
+  names.forEach(function(name) {
+    // created and removed again in the meantime
+    if (!self.entries.has(name) && !is.exists(name)) {
+      return;
+    }
+    if (replay) {
+      self._handlePublicEvents(EVENT_UPDATE, name);
+    } else if (is.exists(name)) {
+      self.entries.set(name, fingerprint(name, self._options));
     } else {
-      self.on('ready', function() {
-        fn(Object.keys(self.watchers));
+      self.entries.remove(name);
+    }
+  });
+  Object.keys(this._added).forEach(function(p) {
+    self._added[p].resume(options);
+  });
+}
+
+// Stop watching paths, or the subtrees under them, without closing
+// the Watcher until nothing is left.
+Watcher.prototype.unwatchPaths = function(paths) {
+  var self = this;
+  [].concat(paths).forEach(function(p) {
+    var fullPath = path.resolve(p);
+    var root = self._root;
+    var child = self._added[fullPath];
+    if (!self.watches(fullPath)) {
+      return;
+    }
+    if (child) {
+      delete self._added[fullPath];
+      unforward(child, self);
+      child.close();
+    }
+    else if (root && (fullPath === root || fullPath.indexOf(root + path.sep) === 0)) {
+      self._unwatched[fullPath] = true;
+      self.entries.remove(fullPath);
+      Object.keys(self._degraded).forEach(function(dir) {
+        if (self.isUnwatched(dir)) delete self._degraded[dir];
+      });
+      if (fullPath === root) {
+        Object.keys(self.watchers).forEach(function(dir) {
+          self.unwatchTree(dir);
+        });
+        if (self._waiting) {
+          self._waiting.watcher.close();
+          self._waiting = null;
+        }
+        self._target = null;
+      } else {
+        self.unwatchTree(fullPath);
+      }
+    }
+    else {
+      Object.keys(self._added).forEach(function(a) {
+        if (fullPath.indexOf(a + path.sep) === 0) {
+          self._added[a].unwatch(p);
+        }
       });
     }
+    process.nextTick(function() {
+      self.emit('close:' + p);
+    });
+  });
+  if (is.emptyObject(this.watchers) && !this._waiting && is.emptyObject(this._added)) {
+    this.close();
   }
 }
 
@@ -259,11 +1208,172 @@ function emitReady(self) {
     // do not call emit for 'ready' until after watch() has returned,
     // so that consumer can call on().
     process.nextTick(function () {
+      if (self._setup && !self.isClosed()) {
+        if (self._snapshot) {
+          emitSnapshot(self);
+          startSnapshotTimer(self);
+        }
+        if (self._setup.options.initial) {
+          emitInitial(self);
+        }
+      }
       self.emit('ready');
     });
   }
 }
 
+function startSnapshotTimer(self) {
+  var interval = self._snapshot.interval;
+  if (interval > 0) {
+    self._snapshotTimer = setInterval(function() {
+      self.saveSnapshot();
+    }, interval);
+    self._snapshotTimer.unref();
+  }
+}
+
+function emitChanges(self, changes, options) {
+  changes.forEach(function(msg) {
+    var args = [msg];
+    if (!options.details) {
+      args = msg.from ? [msg.evt, msg.name, msg.from] : [msg.evt, msg.name];
+    }
+    self.emit.apply(self, ['change'].concat(args));
+  });
+
+  if (changes.length) {
+    self.emit('aggregate', changes);
+  }
+}
+
+// Tells the name under which a path known to the watcher would be
+// reported, or `null` if it wouldn't be.
+function scopeOf(self) {
+  var fpath = self._setup.path;
+  var options = self._setup.options;
+  var root = self._root;
+  var rootInfo = self.entries.info(root);
+  var isFile = !!rootInfo && !rootInfo.dir;
+  return function(key) {
+    // the siblings of a file are known as well
+    if (isFile ? key !== root : key.indexOf(root + path.sep) !== 0) {
+      return null;
+    }
+    var name = path.join(fpath, path.relative(root, key));
+    if (self.beyondDepth(name, options) || self.isUnwatched(name)) {
+      return null;
+    }
+    var pass = isFile;
+    guard(options.filter)(name, function() {
+      pass = true;
+    });
+    return pass ? name : null;
+  };
+}
+
+// The entries known to the watcher which would be reported,
+// in the order of their paths.
+function knownEntries(self) {
+  var scope = scopeOf(self);
+  return self.entries.keys().sort().map(function(key) {
+    return { key: key, name: scope(key) };
+  }).filter(function(entry) {
+    return entry.name !== null;
+  });
+}
+
+function changeOf(evt, name, stat, time, options) {
+  var change = { evt: evt, name: encodeName(name, options.encoding) };
+  if (options.details) {
+    Object.assign(change, detailsOf({ name: name, stat: stat }, time));
+  }
+  return change;
+}
+
+// Report everything found while setting up the watcher with the
+// `initial` option, which is what has been seeded into the entries.
+function emitInitial(self) {
+  var options = self._setup.options;
+  var time = Date.now();
+  emitChanges(self, knownEntries(self).map(function(entry) {
+    return changeOf(EVENT_UPDATE, entry.name, self.entries.get(entry.key).stat, time, options);
+  }), options);
+}
+
+// What's saved to the snapshot, keyed by the paths relative to the root.
+function snapshotRecords(self, withHash) {
+  var options = self._setup.options;
+  var records = {};
+  knownEntries(self).forEach(function(entry) {
+    var record = self.entries.get(entry.key);
+    if (!record || !record.stat) {
+      return;
+    }
+    var hash = record.hash;
+    // the content has to be the one the stats are taken from
+    if (!hash && withHash && record.stat.isFile() && !modifiedSince(entry.key, record.stat)) {
+      hash = hashWithin(entry.key, record.stat.size, options);
+    }
+    records[path.relative(self._root, entry.key)] = Snapshot.recordOf(record.stat, hash);
+  });
+  return records;
+}
+
+// Report the changes made since the snapshot was saved.
+function emitSnapshot(self) {
+  var fpath = self._setup.path;
+  var options = self._setup.options;
+  var root = self._root;
+  var prev = self._snapshot.read(root);
+  if (!prev) {
+    return;
+  }
+  var time = Date.now();
+  var changes = Snapshot.diff(prev, snapshotRecords(self), function(key) {
+    return hashFile(path.join(root, key));
+  }).filter(function(change) {
+    var pass = change.evt !== EVENT_REMOVE;
+    // the filter might have changed since
+    guard(options.filter)(path.join(fpath, change.key), function() {
+      pass = true;
+    });
+    return pass;
+  }).map(function(change) {
+    var name = path.join(fpath, change.key);
+    if (change.evt === EVENT_REMOVE) {
+      var removed = changeOf(EVENT_REMOVE, name, null, time, options);
+      if (options.details) {
+        removed.isDirectory = prev[change.key].dir;
+      }
+      return removed;
+    }
+    var evt = change.evt;
+    if (evt === EVENT_CREATE && options.createEvent === false) {
+      evt = EVENT_UPDATE;
+    }
+    return changeOf(evt, name, self.entries.get(path.join(root, change.key)).stat, time, options);
+  });
+  emitChanges(self, changes, options);
+}
+
+// Emit the list of polled directories once it changes.
+function emitDegraded(self) {
+  if (self._degradedPending) {
+    return;
+  }
+  self._degradedPending = true;
+  process.nextTick(function() {
+    self._degradedPending = false;
+    var dirs = unique(Object.keys(self._degraded).concat(flat1(self._reports.map(function(r) {
+      return r.degraded;
+    })))).sort();
+    if (String(dirs) !== String(self._degradedList)) {
+      self._degradedList = dirs;
+      self.emit('degraded', dirs);
+    }
+  });
+}
+
 function emitClose(self) {
   self.emit('close');
 }
@@ -272,6 +1382,7 @@ Watcher.prototype.add = function(watcher, info) {
   var self = this;
   info = info || { fpath: '' };
   var watcherPath = path.resolve(info.fpath);
+  var watcherId = is.identity(watcherPath);
   this.watchers[watcherPath] = watcher;
 
   // Internal callback for handling fs.FSWatcher 'change' events
@@ -285,11 +1396,39 @@ Watcher.prototype.add = function(watcher, info) {
     if (is.nil(name)) {
       name = '';
     }
-    name = path.join(info.fpath, name);
+    var isSelf = isSelfEvent(info, rawName, watcherId);
+    // the target of a symbolic link is reported under the link,
+    // and so is the removal of a directory under its own path
+    if (info.type === 'link' || isSelf) {
+      name = info.fpath;
+    } else {
+      name = path.join(info.fpath, name);
+    }
+
+    // the watchers are set up again for the target
+    if (info.options.allowMissing && self.checkTarget(isSelf && info.fpath)) {
+      return handlePublicEvents(rawEvt, name);
+    }
+
+    if (info.options.followSymlinks) {
+      self.checkLink(name, info.options);
+    }
+
+    if (self.isUnwatched(name)) {
+      return;
+    }
+
+    var isIgnoreFile = !!self._ignore && self._ignore.isIgnoreFile(name);
+    if (isIgnoreFile) {
+      self._ignore.reload(path.dirname(name));
+    }
 
     if (info.options.recursive) {
-      hasNativeRecursive(function(has) {
+      useNativeRecursive(info.options, function(has) {
         if (!has) {
+          if (isIgnoreFile) {
+            self.rescan(path.dirname(name), info.options);
+          }
           var fullPath = path.resolve(name);
           // remove watcher on removal
           if (!is.exists(name)) {
@@ -298,7 +1437,9 @@ Watcher.prototype.add = function(watcher, info) {
           // watch new created directory
           else {
             var shouldWatch = is.directory(name)
+              && !is.symbolicLink(name)
               && !self.watchers[fullPath]
+              && self.canDescend(name, info.options)
               && shouldNotSkip(name, info.options.filter);
 
             if (shouldWatch) {
@@ -309,26 +1450,49 @@ Watcher.prototype.add = function(watcher, info) {
       });
     }
 
+    // native recursive watching reports everything below
+    if (self.beyondDepth(name, info.options)) {
+      return;
+    }
+
     handlePublicEvents(rawEvt, name);
   };
 
-  // Debounced based on the 'delay' option
-  var handlePublicEvents = debounce(info, function (evt, name) {
-    // watch single file
-    if (info.compareName) {
-      if (info.compareName(name)) {
-        self.emit('change', evt, name);
-      }
-    }
-    // watch directory
-    else {
-      var filterGuard = guard(info.options.filter);
-      filterGuard(name, function() {
-        if (self.flag) self.flag = '';
-        else self.emit('change', evt, name);
+  // Debounced based on the 'delay' option, and shared among all the
+  // fs.FSWatcher of a recursive watcher so that a file moved across
+  // subdirectories is seen within the same batch.
+  if (!self._handlePublicEvents) {
+    var publish = debounce(info, self.entries, function(messages) {
+      var changes = messages.filter(function(msg) {
+        // watch single file
+        if (info.compareName) {
+          return info.compareName(msg.name)
+            || (!!msg.from && info.compareName(msg.from));
+        }
+        // watch directory
+        var pass = false;
+        guard(info.options.filter)(msg.name, function() {
+          if (self.flag) self.flag = '';
+          else pass = true;
+        });
+        return pass;
       });
-    }
-  });
+
+      emitChanges(self, changes, info.options);
+    }, function(handle, delay) {
+      (self._window || setTimeout)(handle, delay);
+    });
+    // the names are kept aside while paused
+    self._handlePublicEvents = function(rawEvt, name) {
+      if (self._paused) {
+        self._paused[name] = true;
+      } else {
+        publish(rawEvt, name);
+      }
+    };
+    self._handlePublicEvents.stop = publish.stop;
+  }
+  var handlePublicEvents = self._handlePublicEvents;
 
   watcher.on('error', function(err) {
     if (self.isClosed()) {
@@ -338,6 +1502,9 @@ Watcher.prototype.add = function(watcher, info) {
       watcher.emit('change', EVENT_REMOVE, info.fpath && '');
       self.flag = 'windows-error';
       self.close(watcherPath);
+    } else if (isOutOfHandles(err) && info.type === 'dir') {
+      self.unwatchTree(watcherPath);
+      self.degrade(info.fpath, info.options);
     } else {
       self.emit('error', err);
     }
@@ -346,6 +1513,135 @@ Watcher.prototype.add = function(watcher, info) {
   watcher.on('change', internalOnChange);
 }
 
+// Remember the entries of a directory so that later changes to them
+// are reported as `update` rather than `create`.
+Watcher.prototype.seed = function(dir, options, onDirectory, counter) {
+  var self = this;
+  var done = counter();
+  this.queue(options).push(function(next) {
+    if (self.isClosed()) {
+      next();
+      return done();
+    }
+    readEntries(dir, options, function(err, all) {
+      next();
+      if (err) {
+        if (/^(EPERM|EACCES)$/.test(err.code)) {
+          console.warn('Warning: Cannot access %s.', dir);
+        } else if (!/^(ENOENT|ENOTDIR)$/.test(err.code)) {
+          throw err;
+        }
+      }
+      else if (!self.isClosed()) {
+        all.forEach(function(entry) {
+          var fpath = entry.path;
+          var record = entry.record;
+          self.entries.set(fpath, record);
+          if (record.stat && record.stat.isSymbolicLink()) {
+            if (options.followSymlinks && shouldNotSkip(fpath, options.filter)) {
+              self.watchLink(fpath, options, counter);
+            }
+          }
+          else if (is.func(onDirectory) && record.stat && record.stat.isDirectory()) {
+            onDirectory(fpath);
+          }
+        });
+        self.progress(all);
+      }
+      done();
+    });
+  });
+}
+
+// The directories are read a few at a time.
+Watcher.prototype.queue = function(options) {
+  if (!this._queue) {
+    this._queue = new Queue(is.number(options.concurrency) ? options.concurrency : CONCURRENCY);
+  }
+  return this._queue;
+}
+
+// Report the progress of the initial scan.
+Watcher.prototype.progress = function(entries) {
+  if (this._isReady) {
+    return;
+  }
+  var scan = this._scan;
+  scan.directories++;
+  entries.forEach(function(entry) {
+    if (!entry.record.stat || !entry.record.stat.isDirectory()) {
+      scan.files++;
+    }
+  });
+  this.emit('scan', totalScan(this));
+}
+
+// The progress of a watcher along with the child watchers of it.
+function totalScan(self) {
+  return self._reports.reduce(function(sum, r) {
+    return !r.scan ? sum : {
+      directories: sum.directories + r.scan.directories,
+      files: sum.files + r.scan.files,
+      pending: sum.pending + r.scan.pending
+    };
+  }, {
+    directories: self._scan.directories,
+    files: self._scan.files,
+    pending: self._queue ? self._queue.size() : 0
+  });
+}
+
+// Watch the target of a symbolic link, and report it under the link.
+Watcher.prototype.watchLink = function(link, options, counter) {
+  var fullPath = path.resolve(link);
+  var target = is.stat(link);
+  if (!target || this._links[fullPath] || isLoop(link, target)) {
+    return;
+  }
+  if (this.beyondDepth(link, options)) {
+    return;
+  }
+  this._links[fullPath] = inodeOf(target);
+  if (target.isDirectory()) {
+    if (options.recursive && this.canDescend(link, options)) {
+      this.watchDirectory(link, options, null, counter);
+    }
+  }
+  // the poller of its parent directory follows it already
+  else if (!options.usePolling) {
+    var watcher = createWatcher(link, Object.assign({}, options, {
+      encoding: 'utf8',
+      recursive: false
+    }));
+    this.add(watcher, {
+      type: 'link',
+      fpath: link,
+      options: options
+    });
+  }
+}
+
+// Follow, stop following or follow the new target of a symbolic link.
+Watcher.prototype.checkLink = function(link, options) {
+  var self = this;
+  var fullPath = path.resolve(link);
+  var known = this._links[fullPath];
+  var isLink = is.symbolicLink(link);
+  var target = isLink && is.stat(link);
+
+  if (known && (!target || inodeOf(target) !== known)) {
+    this.unwatchTree(fullPath);
+    Object.keys(this._links).forEach(function(l) {
+      if (l === fullPath || l.indexOf(fullPath + path.sep) === 0) {
+        delete self._links[l];
+      }
+    });
+  }
+  if (isLink && shouldNotSkip(link, options.filter)) {
+    this.watchLink(link, options);
+  }
+}
+
 Watcher.prototype.watchFile = function(file, options, fn) {
   var parent = path.join(file, '../');
   var opts = Object.assign({}, options, {
@@ -357,7 +1653,8 @@ Watcher.prototype.watchFile = function(file, options, fn) {
   // no need to watch recursively
   delete opts.recursive;
 
-  var watcher = fs.watch(parent, opts);
+  var watcher = createWatcher(parent, opts);
+  this.entries.set(file, fingerprint(file, options));
   this.add(watcher, {
     type: 'file',
     fpath: parent,
@@ -369,16 +1666,13 @@ Watcher.prototype.watchFile = function(file, options, fn) {
     }
   });
 
-  if (is.func(fn)) {
-    if (fn.length === 1) deprecationWarning();
-    this.on('change', fn);
-  }
+  addListener(this, options, fn);
 }
 
 Watcher.prototype.watchDirectory = function(dir, options, fn, counter = nullCounter) {
   var self = this;
   var done = counter();
-  hasNativeRecursive(function(has) {
+  useNativeRecursive(options, function(has) {
     // always specify recursive
     options.recursive = !!options.recursive;
     // using utf8 internally
@@ -397,7 +1691,7 @@ Watcher.prototype.watchDirectory = function(dir, options, fn, counter = nullCoun
 
     try {
       // catch EPERM errors. They slip through and aren't handled further on in our use case.
-      var watcher = fs.watch(dir, opts);
+      var watcher = createWatcher(dir, opts);
 
       self.add(watcher, {
         type: 'dir',
@@ -406,57 +1700,201 @@ Watcher.prototype.watchDirectory = function(dir, options, fn, counter = nullCoun
       });
     } catch (err) {
       if (err && err.code === 'EPERM') console.error(`ignoring EPERM for ${dir}`)
+      // poll this directory and everything under it instead
+      if (isOutOfHandles(err)) {
+        addListener(self, options, fn);
+        self.degrade(dir, options, counter);
+        return done();
+      }
     }
 
 
-    if (is.func(fn)) {
-      if (fn.length === 1) deprecationWarning();
-      self.on('change', fn);
-    }
+    addListener(self, options, fn);
 
     if (options.recursive && !has) {
-      getSubDirectories(dir, function(d) {
-        if (shouldNotSkip(d, options.filter)) {
+      // the entries of each subdirectory are seeded once it's watched
+      self.seed(dir, options, function(d) {
+        if (self.canDescend(d, options) && shouldNotSkip(d, options.filter)) {
           self.watchDirectory(d, options, null, counter);
         }
-      }, counter());
+      }, counter);
+    }
+    else if (options.recursive) {
+      self.seed(dir, options, function seedDeep(d) {
+        if (self.canDescend(d, options) && shouldNotSkip(d, options.filter)) {
+          self.seed(d, options, seedDeep, counter);
+        }
+      }, counter);
+    }
+    else {
+      self.seed(dir, options, null, counter);
     }
 
     done();
   });
 }
 
-function composeWatcher(watchers) {
+// Pass on the events of a child watcher, leaving out the duplicates.
+function forward(from, to, filterDups, filterBatchDups) {
+  from.on('change', filterDups(function() {
+    to.emit.apply(to, ['change'].concat(Array.prototype.slice.call(arguments)));
+  }));
+  from.on('aggregate', filterBatchDups(function(changes) {
+    to.emit('aggregate', changes);
+  }));
+  from.on('error', function(err) {
+    to.emit('error', err);
+  });
+  // summed up with the watcher itself and the other children
+  var report = { from: from, scan: null, degraded: [] };
+  to._reports.push(report);
+  from.on('scan', function(scan) {
+    report.scan = scan;
+    to.emit('scan', totalScan(to));
+  });
+  from.on('degraded', function(dirs) {
+    report.degraded = dirs;
+    emitDegraded(to);
+  });
+}
+
+// Stop counting a child watcher which is closed.
+function unforward(from, to) {
+  to._reports = to._reports.filter(function(report) {
+    return report.from !== from;
+  });
+  emitDegraded(to);
+}
+
+function composeWatcher(targets, options) {
   var watcher = new Watcher();
   var filterDups = createDupsFilter();
-  var counter = watchers.length;
-
-  watchers.forEach(function(w) {
-    w.on('change', filterDups(function(evt, name) {
-      watcher.emit('change', evt, name);
-    }));
-    w.on('error', function(err) {
-      watcher.emit('error', err);
-    });
+  var filterBatchDups = createBatchDupsFilter();
+  var batchWindow = createWindow();
+  var counter = targets.length;
+
+  var children = targets.map(function(target) {
+    var w = watchTarget(target, options);
+    shareWindow(w, batchWindow);
+    forward(w, watcher, filterDups, filterBatchDups);
     w.on('ready', function() {
       if (!(--counter)) {
-        emitReady(watcher);
+        // the changes are passed on with a timer, so are the ones found on start
+        if (options.initial || options.snapshot) {
+          setTimeout(emitReady, 0, watcher);
+        } else {
+          emitReady(watcher);
+        }
       }
     });
+    return { path: path.resolve(String(target.base || target)), watcher: w };
   });
 
+  var paused = false;
+
+  function find(p) {
+    var fullPath = path.resolve(p);
+    return children.find(function(child) {
+      return child.path === fullPath;
+    });
+  }
+
+  watcher.addPaths = function(paths) {
+    [].concat(paths).forEach(function(p) {
+      if (find(p)) {
+        return process.nextTick(function() {
+          watcher.emit('ready:' + p);
+        });
+      }
+      var w = watch(p, options);
+      if (paused) {
+        w.pause();
+      }
+      shareWindow(w, batchWindow);
+      forward(w, watcher, filterDups, filterBatchDups);
+      w.once('ready', function() {
+        watcher.emit('ready:' + p);
+      });
+      children.push({ path: path.resolve(p), watcher: w });
+    });
+  }
+
+  watcher.watches = function(fullPath) {
+    return children.some(function(child) {
+      return child.path === fullPath
+        || exposed.get(child.watcher).watches(fullPath);
+    });
+  }
+
+  watcher.unwatchPaths = function(paths) {
+    [].concat(paths).forEach(function(p) {
+      var child = find(p);
+      if (!watcher.watches(path.resolve(p))) {
+        return;
+      }
+      if (child) {
+        children.splice(children.indexOf(child), 1);
+        unforward(child.watcher, watcher);
+        child.watcher.close();
+      } else {
+        children.forEach(function(c) {
+          c.watcher.unwatch(p);
+        });
+      }
+      process.nextTick(function() {
+        watcher.emit('close:' + p);
+      });
+    });
+    if (!children.length) {
+      watcher.close();
+    }
+  }
+
+  watcher.pause = function() {
+    paused = true;
+    children.forEach(function(child) {
+      child.watcher.pause();
+    });
+  }
+
+  watcher.resume = function(opts) {
+    paused = false;
+    children.forEach(function(child) {
+      child.watcher.resume(opts);
+    });
+  }
+
   watcher.close = function() {
-    watchers.forEach(function(w) {
-      w.close();
+    children.forEach(function(child) {
+      child.watcher.close();
     });
-    process.nextTick(emitClose, watcher);
+    // should emit once
+    if (!watcher._isClosed) {
+      watcher._isClosed = true;
+      process.nextTick(emitClose, watcher);
+    }
+  }
+
+  watcher.since = function(token) {
+    var fresh = clockTick(token) === null;
+    var merged = mergeChanges(watcher.clock(), fresh, children.map(function(child) {
+      return child.watcher.since(token);
+    }));
+    // all of them, once the history of one is gone
+    return merged.fresh && !fresh ? watcher.since(null) : merged;
+  }
+
+  watcher.list = function(pattern) {
+    return unique(flat1(children.map(function(child) {
+      return child.watcher.list(pattern);
+    }))).sort();
   }
 
   watcher.getWatchedPaths = function(fn) {
     if (is.func(fn)) {
-      var promises = watchers.map(function(w) {
+      var promises = children.map(function(child) {
         return new Promise(function(resolve) {
-          w.getWatchedPaths(resolve);
+          child.watcher.getWatchedPaths(resolve);
         });
       });
       Promise.all(promises).then(function(result) {
@@ -476,14 +1914,6 @@ function watch(fpath, options, fn) {
     fpath = fpath.toString();
   }
 
-  if (!is.array(fpath) && !is.exists(fpath)) {
-    process.nextTick(function() {
-      watcher.emit('error',
-        new Error(fpath + ' does not exist.')
-      );
-    });
-  }
-
   if (is.string(options)) {
     options = {
       encoding: options
@@ -505,18 +1935,70 @@ function watch(fpath, options, fn) {
     options.encoding = 'utf8';
   }
 
-  if (is.array(fpath)) {
-    if (fpath.length === 1) {
-      return watch(fpath[0], options, fn);
+  // throws on unknown profiles
+  editorProfiles.resolve(options.editorProfiles);
+
+  capabilities.assertBackend(options.backend);
+  if (options.backend === 'native' && options.recursive
+    && capabilities.capabilities().recursive === false) {
+    throw new Error('Recursive watching is not supported natively on this platform.');
+  }
+  if (options.backend === 'polling' && !options.usePolling) {
+    options = Object.assign({}, options, { usePolling: true });
+  }
+
+  var isTargets = is.array(fpath)
+    || (is.string(fpath) && glob.isGlob(fpath) && !is.exists(fpath));
+
+  if (!isTargets && !is.exists(fpath) && !options.allowMissing) {
+    process.nextTick(function() {
+      watcher.emit('error',
+        new Error(fpath + ' does not exist.')
+      );
+    });
+  }
+
+  if (isTargets) {
+    var targets = glob.targets(unique([].concat(fpath)));
+    if (targets.exclude.length) {
+      options = Object.assign({}, options, {
+        exclude: [].concat(options.exclude || [], targets.exclude)
+      });
+    }
+    var list = targets.paths.concat(targets.globs);
+    if (list.length === 1) {
+      return watchTarget(list[0], options, fn);
+    }
+    var composed = composeWatcher(list, options);
+    addListener(composed, options, fn);
+    return composed;
+  }
+
+  watcher._options = options;
+
+  if (!is.nil(options.include) || !is.nil(options.exclude)) {
+    options = Object.assign({}, options, {
+      filter: globFilter(fpath, options)
+    });
+  }
+
+  if (options.ignoreFiles && !is.file(fpath)) {
+    watcher._ignore = new IgnoreRules(fpath, options.ignoreFiles);
+    options = Object.assign({}, options, {
+      filter: ignoreFilter(watcher._ignore, options.filter, watcher.entries)
+    });
+  }
+
+  watcher._root = path.resolve(fpath);
+  watcher._setup = { path: fpath, options: options };
+  if (options.snapshot) {
+    watcher._snapshot = new Snapshot(options.snapshot);
+  }
+  if (options.allowMissing) {
+    watcher._target = { path: fpath, options: options };
+    if (is.exists(fpath)) {
+      watcher.pinTarget();
     }
-    var filterDups = createDupsFilter();
-    return composeWatcher(unique(fpath).map(function(f) {
-      var w = watch(f, options);
-      if (is.func(fn)) {
-        w.on('change', filterDups(fn));
-      }
-      return w;
-    }));
   }
 
   if (is.file(fpath)) {
@@ -528,11 +2010,40 @@ function watch(fpath, options, fn) {
     var counter = semaphore(function () {
       emitReady(watcher);
     });
+    watcher.entries.set(fpath, fingerprint(fpath, options));
     watcher.watchDirectory(fpath, options, fn, counter);
   }
 
+  else if (options.allowMissing) {
+    addListener(watcher, options, fn);
+    watcher.watchMissing(fpath, options);
+    emitReady(watcher);
+  }
+
   return watcher.expose();
 }
 
+// Watch a path, or the directory glob patterns start from.
+function watchTarget(target, options, fn) {
+  if (!target || !target.include) {
+    return watch(target, options, fn);
+  }
+  return watch(target.base, Object.assign({}, options, {
+    recursive: options.recursive || target.include.some(function(p) {
+      return /\/|\*\*/.test(p);
+    }),
+    filter: globFilter(target.base, {
+      include: target.include,
+      filter: options.filter
+    })
+  }), fn);
+}
+
 module.exports = watch;
 module.exports.default = watch;
+module.exports.editorProfiles = editorProfiles.profiles;
+// Required when called, since ./promises requires this module.
+module.exports.waitFor = function waitFor() {
+  return require('./promises').waitFor.apply(null, arguments);
+};
+module.exports.capabilities = capabilities.capabilities;
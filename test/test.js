@@ -1,8 +1,14 @@
 var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var execFileSync = require('child_process').execFileSync;
 var Tree = require('./utils/builder');
 var watch = require('../lib/watch');
+var promises = require('../lib/promises');
+var Pool = require('../lib/pool');
+var Entries = require('../lib/entries');
 var is = require('../lib/is');
-var hasNativeRecursive = require('../lib/has-native-recursive');
+var hasNativeRecursive = require('../lib/capabilities').hasNativeRecursive;
 
 var tree = Tree();
 var watcher;
@@ -282,6 +288,40 @@ describe('watch for directories', function() {
       }, 350);
     });
   });
+
+  it('should report the removal of a directory under its own path', function(done) {
+    var dir = tree.getPath('later');
+    var changes = [];
+    tree.newDir('later');
+    watcher = watch(dir, { delay: 0 }, function(evt, name) {
+      changes.push(evt + ' ' + name);
+    });
+    watcher.on('ready', function() {
+      tree.remove('later');
+      setTimeout(function() {
+        assert.deepStrictEqual(changes, ['remove ' + dir]);
+        done();
+      }, 300);
+    });
+  });
+
+  it('should report an entry named after its directory', function(done) {
+    var dir = tree.getPath('pkg');
+    var file = tree.getPath('pkg/pkg');
+    var changes = [];
+    tree.newFile('pkg/pkg');
+    watcher = watch(dir, { delay: 0 }, function(evt, name) {
+      changes.push(evt + ' ' + name);
+    });
+    watcher.on('ready', function() {
+      tree.remove('pkg/pkg');
+      setTimeout(function() {
+        tree.remove('pkg');
+        assert.deepStrictEqual(changes, ['remove ' + file]);
+        done();
+      }, 300);
+    });
+  });
 });
 
 describe('file events', function() {
@@ -306,60 +346,906 @@ describe('file events', function() {
     watcher.on('ready', function() {
       tree.remove(dir);
     });
-  });
+  });
+
+  it('should be able to handle many events on deleting', function(done) {
+    var dir = 'home/a';
+    var fpath = tree.getPath(dir);
+    var names = tree.newRandomFiles(dir, 300);
+
+    var count = 0;
+    watcher = watch(fpath, function(evt, name) {
+      count += 1;
+      if (count == names.length) done();
+    });
+
+    watcher.on('ready', function() {
+      names.forEach(tree.remove.bind(tree));
+    });
+  });
+
+  it('should identify `update` event', function(done) {
+    var file = 'home/a/file1';
+    var fpath = tree.getPath(file);
+    watcher = watch(fpath, function(evt, name) {
+      if (evt === 'update' && name === fpath) done();
+    });
+    watcher.on('ready', function() {
+      tree.modify(file);
+    });
+  });
+
+  it('should identify `create` event', function(done) {
+    var dir = tree.getPath('home/a');
+    var file = 'home/a/newfile' + Date.now();
+    var fpath = tree.getPath(file);
+    watcher = watch(dir, function(evt, name) {
+      if (evt === 'create' && name === fpath) done();
+    });
+    watcher.on('ready', function() {
+      tree.newFile(file);
+    });
+  });
+
+  it('should report `update` once a created file is modified', function(done) {
+    var dir = tree.getPath('home/a');
+    var file = 'home/a/newfile' + Date.now();
+    var fpath = tree.getPath(file);
+    var events = [];
+    watcher = watch(dir, { delay: 0 }, function(evt, name) {
+      if (name === fpath) events.push(evt);
+    });
+    watcher.on('ready', function() {
+      tree.newFile(file);
+      tree.modify(file, 100);
+      tree.remove(file, 200);
+      wait(function() {
+        assert.deepStrictEqual(events, ['create', 'update', 'remove']);
+        done();
+      }, 300);
+    });
+  });
+
+  it('should report `update` on new files with `createEvent: false`', function(done) {
+    var dir = tree.getPath('home/a');
+    var file = 'home/a/newfile' + Date.now();
+    var fpath = tree.getPath(file);
+    watcher = watch(dir, { createEvent: false }, function(evt, name) {
+      if (evt === 'update' && name === fpath) done();
+    });
+    watcher.on('ready', function() {
+      tree.newFile(file);
+    });
+  });
+});
+
+describe('options', function() {
+  describe('recursive', function() {
+    it('should watch recursively with `recursive: true` option', function(done) {
+      var dir = tree.getPath('home');
+      var file = tree.getPath('home/bb/file1');
+      watcher = watch(dir, { recursive: true }, function(evt, name) {
+        if (file === name) {
+          done();
+        }
+      });
+      watcher.on('ready', function() {
+        tree.modify('home/bb/file1');
+      });
+    });
+  });
+
+  describe('renameEvent', function() {
+    it('should pair a removal and a creation into `rename`', function(done) {
+      var dir = tree.getPath('home/a');
+      var from = tree.getPath('home/a/file1');
+      var to = tree.getPath('home/a/moved');
+      watcher = watch(dir, { delay: 100, renameEvent: true }, function(evt, name, oldName) {
+        assert.equal(evt, 'rename');
+        assert.equal(name, to);
+        assert.equal(oldName, from);
+        done();
+      });
+      watcher.on('ready', function() {
+        tree.move('home/a/file1', 'home/a/moved');
+      });
+    });
+
+    it('should detect files moved across subdirectories', function(done) {
+      var home = tree.getPath('home');
+      var from = tree.getPath('home/a/file1');
+      var to = tree.getPath('home/b/moved');
+      var events = [];
+      var options = { delay: 100, recursive: true, renameEvent: true };
+      watcher = watch(home, options, function(evt, name, oldName) {
+        events.push([evt, name, oldName]);
+      });
+      watcher.on('ready', function() {
+        tree.move('home/a/file1', 'home/b/moved');
+        wait(function() {
+          assert.deepStrictEqual(events, [['rename', to, from]]);
+          done();
+        }, 300);
+      });
+    });
+
+    it('should not report the files under a moved directory', function(done) {
+      var home = tree.getPath('home');
+      var from = tree.getPath('home/a/moved_dir');
+      var to = tree.getPath('home/b/moved_dir');
+      var events = [];
+      tree.newFile('home/a/moved_dir/file1');
+      tree.newFile('home/a/moved_dir/sub/file2');
+      var options = { delay: 100, recursive: true, renameEvent: true };
+      watcher = watch(home, options, function(evt, name, oldName) {
+        events.push([evt, name, oldName]);
+      });
+      watcher.on('ready', function() {
+        fs.renameSync(from, to);
+        setTimeout(function() {
+          tree.remove('home/b/moved_dir');
+          assert.deepStrictEqual(events, [['rename', to, from]]);
+          done();
+        }, 300);
+      });
+    });
+
+    it('should report the files changed under a moved directory', function(done) {
+      var test = this;
+      hasNativeRecursive(function(supportRecursive) {
+        // a directory showing up is only seeded when emulated
+        if (!supportRecursive) {
+          test.skip();
+        }
+        checkChange(done);
+      });
+    });
+
+    function checkChange(done) {
+      var home = tree.getPath('home');
+      var from = tree.getPath('home/a/moved_dir');
+      var to = tree.getPath('home/b/moved_dir');
+      var events = [];
+      tree.newFile('home/a/moved_dir/file1');
+      var options = { delay: 100, recursive: true, renameEvent: true };
+      watcher = watch(home, options, function(evt, name, oldName) {
+        events.push([evt, name, oldName]);
+      });
+      watcher.on('ready', function() {
+        fs.renameSync(from, to);
+        fs.appendFileSync(path.join(to, 'file1'), 'more');
+        setTimeout(function() {
+          tree.remove('home/b/moved_dir');
+          assert.deepStrictEqual(events, [
+            ['rename', to, from],
+            ['update', path.join(to, 'file1'), undefined]
+          ]);
+          done();
+        }, 300);
+      });
+    }
+
+    it('should not pair unrelated files', function(done) {
+      var dir = tree.getPath('home/a');
+      var events = [];
+      watcher = watch(dir, { delay: 100, renameEvent: true }, function(evt, name) {
+        events.push(evt);
+      });
+      watcher.on('ready', function() {
+        tree.remove('home/a/file1');
+        tree.newFile('home/a/newfile');
+        wait(function() {
+          assert.deepStrictEqual(events.sort(), ['create', 'remove']);
+          done();
+        }, 300);
+      });
+    });
+  });
+
+  describe('details', function() {
+    it('should pass an object with the stats of the change', function(done) {
+      var dir = tree.getPath('home/a');
+      var fpath = tree.getPath('home/a/file1');
+      var start = Date.now();
+      watcher = watch(dir, { delay: 0, details: true }, function(change) {
+        assert.equal(change.evt, 'update');
+        assert.equal(change.name, fpath);
+        assert.equal(change.path, fpath);
+        assert.equal(change.isDirectory, false);
+        assert(change.stats.isFile(), 'stats should be captured');
+        assert(change.stats.size > 0, 'stats should be taken after the change');
+        assert(change.time >= start, 'missing detection time');
+        done();
+      });
+      watcher.on('ready', function() {
+        tree.modify('home/a/file1');
+      });
+    });
+
+    it('should pass the last known stats on removal', function(done) {
+      var home = tree.getPath('home');
+      var dir = tree.getPath('home/c');
+      watcher = watch(home, { delay: 0, details: true }, function(change) {
+        if (change.path === dir) {
+          assert.equal(change.evt, 'remove');
+          assert.equal(change.isDirectory, true);
+          assert(change.stats.isDirectory(), 'stats should be kept');
+          done();
+        }
+      });
+      watcher.on('ready', function() {
+        tree.remove('home/c');
+      });
+    });
+  });
+
+  describe('batch', function() {
+    it('should deliver each delay window as one batch', function(done) {
+      var dir = tree.getPath('home/a');
+      var file1 = tree.getPath('home/a/file1');
+      var file2 = tree.getPath('home/a/file2');
+      var batches = [];
+      watcher = watch(dir, { delay: 100, batch: true }, function(changes) {
+        batches.push(changes);
+      });
+      watcher.on('ready', function() {
+        tree.modify('home/a/file1');
+        tree.modify('home/a/file2');
+        tree.modify('home/a/file1', 20);
+        wait(function() {
+          assert.equal(batches.length, 1);
+          assert.deepStrictEqual(
+            batches[0].sort(function(a, b) { return a.name > b.name ? 1 : -1; }),
+            [{ evt: 'update', name: file1 }, { evt: 'update', name: file2 }]
+          );
+          done();
+        }, 250);
+      });
+    });
+
+    it('should emit `aggregate` along with `change` events', function(done) {
+      var dir = tree.getPath('home/a');
+      var fpath = tree.getPath('home/a/file1');
+      var changes = [];
+      watcher = watch(dir, { delay: 0 }, function(evt, name) {
+        changes.push({ evt: evt, name: name });
+      });
+      watcher.on('aggregate', function(batch) {
+        assert.deepStrictEqual(batch, changes);
+        assert.deepStrictEqual(batch, [{ evt: 'update', name: fpath }]);
+        done();
+      });
+      watcher.on('ready', function() {
+        tree.modify('home/a/file1');
+      });
+    });
+
+    it('should deliver one batch for composed watcher', function(done) {
+      var fpaths = [
+        tree.getPath('home/a'),
+        tree.getPath('home/b'),
+        tree.getPath('home/a/file1')
+      ];
+      var batches = [];
+      watcher = watch(fpaths, { delay: 100, batch: true }, function(changes) {
+        batches.push(changes);
+      });
+      watcher.on('ready', function() {
+        tree.modify('home/a/file1');
+        tree.modify('home/b/file1');
+        wait(function() {
+          assert.equal(batches.length, 1);
+          assert.deepStrictEqual(
+            batches[0].map(function(c) { return c.name; }).sort(),
+            [tree.getPath('home/a/file1'), tree.getPath('home/b/file1')]
+          );
+          done();
+        }, 250);
+      });
+    });
+
+    it('should deliver the changes within one delay in one batch', function(done) {
+      var fpaths = [tree.getPath('home/a'), tree.getPath('home/b')];
+      var batches = [];
+      watcher = watch(fpaths, { delay: 200, batch: true }, function(changes) {
+        batches.push(changes);
+      });
+      watcher.on('ready', function() {
+        tree.modify('home/a/file1');
+        tree.modify('home/b/file1', 60);
+        setTimeout(function() {
+          assert.equal(batches.length, 1);
+          assert.deepStrictEqual(
+            batches[0].map(function(c) { return c.name; }).sort(),
+            [tree.getPath('home/a/file1'), tree.getPath('home/b/file1')]
+          );
+          done();
+        }, 400);
+      });
+    });
+  });
+
+  describe('ignoreUnchanged', function() {
+    it('should ignore updates without content changes', function(done) {
+      var dir = tree.getPath('home/a');
+      var file = 'home/a/file1';
+      var events = [];
+      tree.write(file, 'same');
+      watcher = watch(dir, { delay: 0, ignoreUnchanged: true }, function(evt, name) {
+        events.push(evt);
+      });
+      watcher.on('ready', function() {
+        tree.touch(file);
+        tree.write(file, 'same', 100);
+        setTimeout(function() {
+          assert.deepStrictEqual(events, []);
+          done();
+        }, 250);
+      });
+    });
+
+    it('should report updates with the same size but different content', function(done) {
+      var dir = tree.getPath('home/a');
+      var file = 'home/a/file1';
+      var fpath = tree.getPath(file);
+      tree.write(file, 'same');
+      watcher = watch(dir, { delay: 0, ignoreUnchanged: true }, function(evt, name) {
+        assert.equal(evt, 'update');
+        assert.equal(name, fpath);
+        done();
+      });
+      watcher.on('ready', function() {
+        tree.write(file, 'diff');
+      });
+    });
+
+    it('should report rewrites keeping the same size and mtime', function(done) {
+      var dir = tree.getPath('home/a');
+      var file = 'home/a/file1';
+      var fpath = tree.getPath(file);
+      tree.write(file, 'same');
+      var stat = fs.statSync(fpath);
+      watcher = watch(dir, { delay: 0, ignoreUnchanged: true }, function(evt, name) {
+        assert.equal(evt, 'update');
+        assert.equal(name, fpath);
+        done();
+      });
+      watcher.on('ready', function() {
+        // as on a filesystem with coarse mtimes
+        fs.writeFileSync(fpath, 'diff');
+        fs.utimesSync(fpath, stat.atime, stat.mtime);
+      });
+    });
+
+    it('should compare files over `hashLimit` by size and mtime', function(done) {
+      var dir = tree.getPath('home/a');
+      var file = 'home/a/file1';
+      var fpath = tree.getPath(file);
+      tree.write(file, 'same');
+      var options = { delay: 0, ignoreUnchanged: true, hashLimit: 2 };
+      watcher = watch(dir, options, function(evt, name) {
+        assert.equal(name, fpath);
+        done();
+      });
+      watcher.on('ready', function() {
+        tree.write(file, 'same', 50);
+      });
+    });
+  });
+
+  describe('editorProfiles', function() {
+    it('should collapse an atomic save into one `update`', function(done) {
+      var dir = tree.getPath('home/a');
+      var fpath = tree.getPath('home/a/file1');
+      var events = [];
+      watcher = watch(dir, { delay: 100 }, function(evt, name) {
+        events.push([evt, name]);
+      });
+      watcher.on('ready', function() {
+        tree.write('home/a/file1___jb_tmp___', 'new content');
+        tree.move('home/a/file1', 'home/a/file1___jb_old___');
+        tree.move('home/a/file1___jb_tmp___', 'home/a/file1');
+        tree.remove('home/a/file1___jb_old___');
+        wait(function() {
+          assert.deepStrictEqual(events, [['update', fpath]]);
+          done();
+        }, 300);
+      });
+    });
+
+    it('should ignore swap files of vim', function(done) {
+      var dir = tree.getPath('home/a');
+      var events = [];
+      watcher = watch(dir, { delay: 0 }, function(evt, name) {
+        events.push(name);
+      });
+      watcher.on('ready', function() {
+        tree.newFile('home/a/.vim.swp');
+        tree.newFile('home/a/4913');
+        tree.remove('home/a/4913', 50);
+        tree.modify('home/a/file2', 100);
+        wait(function() {
+          assert.deepStrictEqual(events, [tree.getPath('home/a/file2')]);
+          done();
+        }, 250);
+      });
+    });
+
+    it('should accept custom profiles', function(done) {
+      var dir = tree.getPath('home/a');
+      var events = [];
+      var options = {
+        delay: 0,
+        editorProfiles: [{ test: /\.bak$/ }]
+      };
+      watcher = watch(dir, options, function(evt, name) {
+        events.push(name);
+      });
+      watcher.on('ready', function() {
+        tree.newFile('home/a/custom.bak');
+        tree.modify('home/a/file2');
+        tree.remove('home/a/custom.bak');
+        tree.newFile('home/a/.custom.swp', 50);
+        setTimeout(function() {
+          tree.remove('home/a/.custom.swp');
+          assert.deepStrictEqual(events, [
+            tree.getPath('home/a/file2'),
+            tree.getPath('home/a/.custom.swp')
+          ]);
+          done();
+        }, 200);
+      });
+    });
+
+    it('should report real files matching a profile', function(done) {
+      var dir = tree.getPath('home/a');
+      var events = [];
+      watcher = watch(dir, { delay: 0 }, function(evt, name) {
+        events.push(evt + ' ' + name);
+      });
+      watcher.on('ready', function() {
+        tree.newFile('home/a/sedentary');
+        tree.newFile('home/a/notes~', 50);
+        setTimeout(function() {
+          tree.remove('home/a/sedentary');
+          tree.remove('home/a/notes~');
+          assert.deepStrictEqual(events, [
+            'create ' + tree.getPath('home/a/sedentary'),
+            'create ' + tree.getPath('home/a/notes~')
+          ]);
+          done();
+        }, 200);
+      });
+    });
+
+    it('should ignore the temporary file of `sed -i`', function(done) {
+      var dir = tree.getPath('home/a');
+      var events = [];
+      watcher = watch(dir, { delay: 100 }, function(evt, name) {
+        events.push(evt + ' ' + name);
+      });
+      watcher.on('ready', function() {
+        tree.write('home/a/sedX1b2c3', 'new content');
+        fs.renameSync(tree.getPath('home/a/sedX1b2c3'), tree.getPath('home/a/file2'));
+        setTimeout(function() {
+          assert.deepStrictEqual(events, ['update ' + tree.getPath('home/a/file2')]);
+          done();
+        }, 300);
+      });
+    });
+
+    it('should throw on unknown profiles', function() {
+      assert.throws(function() {
+        watch(tree.getPath('home/a'), { editorProfiles: ['unknown'] });
+      }, /Unknown editor profile/);
+    });
+  });
+
+  describe('awaitWriteFinish', function() {
+    it('should wait until the file stops growing', function(done) {
+      var dir = tree.getPath('home/a');
+      var file = 'home/a/file1';
+      var fpath = tree.getPath(file);
+      var options = {
+        delay: 0,
+        awaitWriteFinish: { stabilityThreshold: 150, pollInterval: 20 }
+      };
+      var last;
+      watcher = watch(dir, options, function(evt, name) {
+        assert.equal(evt, 'update');
+        assert.equal(name, fpath);
+        assert(Date.now() - last >= 150, 'reported before the write finishes');
+        done();
+      });
+      watcher.on('ready', function() {
+        [0, 50, 100, 150].forEach(function(delay) {
+          tree.modify(file, delay);
+        });
+        setTimeout(function() {
+          last = Date.now();
+        }, 150);
+      });
+    });
+
+    it('should cancel files removed while pending', function(done) {
+      var dir = tree.getPath('home/a');
+      var file = 'home/a/newfile' + Date.now();
+      var events = [];
+      var options = {
+        delay: 0,
+        awaitWriteFinish: { stabilityThreshold: 200, pollInterval: 20 }
+      };
+      watcher = watch(dir, options, function(evt, name) {
+        events.push(evt);
+      });
+      watcher.on('ready', function() {
+        tree.newFile(file);
+        tree.modify(file, 50);
+        tree.remove(file, 100);
+        setTimeout(function() {
+          assert.deepStrictEqual(events, []);
+          done();
+        }, 400);
+      });
+    });
+  });
+
+  describe('usePolling', function() {
+    it('should detect changes by polling', function(done) {
+      var home = tree.getPath('home');
+      var file = 'home/a/newfile' + Date.now();
+      var fpath = tree.getPath(file);
+      var events = [];
+      var options = { delay: 0, recursive: true, usePolling: true, interval: 20 };
+      watcher = watch(home, options, function(evt, name) {
+        if (name === fpath) events.push(evt);
+      });
+      watcher.on('ready', function() {
+        tree.newFile(file);
+        tree.modify(file, 100);
+        tree.remove(file, 200);
+        wait(function() {
+          assert.deepStrictEqual(events, ['create', 'update', 'remove']);
+          done();
+        }, 400);
+      });
+    });
+
+    it('should watch a single file by polling', function(done) {
+      var fpath = tree.getPath('home/a/file1');
+      var options = { delay: 0, usePolling: true, interval: 20 };
+      watcher = watch(fpath, options, function(evt, name) {
+        assert.equal(evt, 'update');
+        assert.equal(name, fpath);
+        done();
+      });
+      watcher.on('ready', function() {
+        tree.modify('home/a/file1');
+      });
+    });
+
+    it('should skip subdirectories with `skip` flag', function(done) {
+      var home = tree.getPath('home');
+      var options = {
+        delay: 0,
+        recursive: true,
+        usePolling: true,
+        filter: function(name, skip) {
+          if (/\/deep_node_modules/.test(name)) return skip;
+          return true;
+        }
+      };
+      var changes = [];
+      watcher = watch(home, options, function(evt, name) {
+        changes.push(name);
+      });
+      watcher.getWatchedPaths(function(paths) {
+        var watched = tree.getAllDirectories().filter(function(name) {
+          return !/\/deep_node_modules/.test(name);
+        });
+        assert.deepStrictEqual(watched.sort(), paths.sort());
+        tree.modify('home/deep_node_modules/ma/file1');
+        tree.modify('home/b/file1', 50);
+        wait(function() {
+          assert.deepStrictEqual(changes, [tree.getPath('home/b/file1')]);
+          done();
+        }, 300);
+      });
+    });
+
+    it('should emit an error once when the directory cannot be read', function(done) {
+      var dir = tree.getPath('home/a');
+      var originalReaddir = fs.readdir;
+      var errors = [];
+      watcher = watch(dir, { delay: 0, usePolling: true, interval: 20 });
+      watcher.on('error', function(err) {
+        errors.push(err.code);
+      });
+      watcher.on('ready', function() {
+        fs.readdir = function(fpath, fn) {
+          if (fpath !== dir) {
+            return originalReaddir.apply(fs, arguments);
+          }
+          var err = new Error('EIO: i/o error, scandir');
+          err.code = 'EIO';
+          process.nextTick(fn, err);
+        };
+        setTimeout(function() {
+          fs.readdir = originalReaddir;
+          assert.deepStrictEqual(errors, ['EIO']);
+          assert(!watcher.isClosed());
+          done();
+        }, 200);
+      });
+    });
+  });
+
+  describe('fallback to polling', function() {
+    var originalWatch = fs.watch;
+
+    function outOfHandles(dir) {
+      fs.watch = function(fpath) {
+        if (fpath === dir) {
+          var err = new Error('ENOSPC: System limit for number of file watchers reached');
+          err.code = 'ENOSPC';
+          throw err;
+        }
+        return originalWatch.apply(fs, arguments);
+      };
+    }
+
+    afterEach(function() {
+      fs.watch = originalWatch;
+    });
+
+    it('should fall back to polling when running out of watches', function(done) {
+      var home = tree.getPath('home');
+      var fpath = tree.getPath('home/b/file1');
+      outOfHandles(home);
+      watcher = watch(home, { delay: 0, recursive: true, interval: 20 }, function(evt, name) {
+        if (name === fpath) done();
+      });
+      watcher.on('degraded', function(dirs) {
+        assert.deepStrictEqual(dirs, [home]);
+      });
+      watcher.on('ready', function() {
+        fs.watch = originalWatch;
+        tree.modify('home/b/file1', 50);
+      });
+    });
+
+    it('should resume watching natively when possible', function(done) {
+      var home = tree.getPath('home');
+      var fpath = tree.getPath('home/b/file1');
+      var reports = [];
+      var options = { delay: 0, recursive: true, retryInterval: 50 };
+      outOfHandles(home);
+      watcher = watch(home, options, function(evt, name) {
+        if (name === fpath) {
+          assert.deepStrictEqual(reports, [[home], []]);
+          done();
+        }
+      });
+      watcher.on('degraded', function(dirs) {
+        reports.push(dirs);
+        if (!dirs.length) {
+          tree.modify('home/b/file1', 50);
+        }
+      });
+      watcher.on('ready', function() {
+        fs.watch = originalWatch;
+      });
+    });
+
+    it('should report the degraded directories of composed watcher', function(done) {
+      var a = tree.getPath('home/a');
+      var b = tree.getPath('home/b');
+      var sub = tree.getPath('home/b/degraded');
+      tree.newFile('home/b/degraded/file1');
+      outOfHandles(sub);
+      var options = { delay: 0, recursive: true, backend: 'emulated', retryInterval: 60000 };
+      watcher = watch([a, b], options);
+      watcher.once('degraded', function(dirs) {
+        assert.deepStrictEqual(dirs, [sub]);
+        watcher.close();
+        tree.remove('home/b/degraded');
+        done();
+      });
+    });
+  });
+
+  describe('followSymlinks', function() {
+    afterEach(function() {
+      if (watcher) watcher.close();
+      ['home/link', 'home/e/loop', 'outside'].forEach(function(name) {
+        tree.remove(name);
+      });
+    });
 
-  it('should be able to handle many events on deleting', function(done) {
-    var dir = 'home/a';
-    var fpath = tree.getPath(dir);
-    var names = tree.newRandomFiles(dir, 300);
+    it('should report changes of symlinked directories under the link', function(done) {
+      var home = tree.getPath('home');
+      var fpath = tree.getPath('home/link/file1');
+      tree.newFile('outside/one/file1');
+      tree.newSymLink('outside/one', 'home/link');
+      var options = { delay: 100, recursive: true, followSymlinks: true };
+      watcher = watch(home, options, function(evt, name) {
+        if (name === fpath) done();
+      });
+      watcher.on('ready', function() {
+        tree.modify('outside/one/file1');
+      });
+    });
 
-    var count = 0;
-    watcher = watch(fpath, function(evt, name) {
-      count += 1;
-      if (count == names.length) done();
+    it('should report changes of symlinked files under the link', function(done) {
+      var home = tree.getPath('home');
+      var fpath = tree.getPath('home/link');
+      tree.newFile('outside/file');
+      tree.newSymLink('outside/file', 'home/link');
+      var options = { delay: 100, followSymlinks: true };
+      watcher = watch(home, options, function(evt, name) {
+        assert.equal(name, fpath);
+        done();
+      });
+      watcher.on('ready', function() {
+        tree.modify('outside/file');
+      });
     });
 
-    watcher.on('ready', function() {
-      names.forEach(tree.remove.bind(tree));
+    it('should not follow symbolic links by default', function(done) {
+      var home = tree.getPath('home');
+      var changes = [];
+      tree.newFile('outside/one/file1');
+      tree.newSymLink('outside/one', 'home/link');
+      watcher = watch(home, { delay: 0, recursive: true }, function(evt, name) {
+        changes.push(name);
+      });
+      watcher.on('ready', function() {
+        tree.modify('outside/one/file1');
+        tree.modify('home/a/file1', 100);
+        wait(function() {
+          assert(changes.includes(tree.getPath('home/a/file1')));
+          assert(!changes.includes(tree.getPath('home/link/file1')));
+          done();
+        }, 300);
+      });
     });
-  });
 
-  it('should identify `update` event', function(done) {
-    var file = 'home/a/file1';
-    var fpath = tree.getPath(file);
-    watcher = watch(fpath, function(evt, name) {
-      if (evt === 'update' && name === fpath) done();
+    it('should not get into loops', function(done) {
+      var home = tree.getPath('home');
+      var changes = [];
+      tree.newSymLink('home', 'home/e/loop');
+      var options = { delay: 0, recursive: true, followSymlinks: true };
+      watcher = watch(home, options, function(evt, name) {
+        changes.push(name);
+      });
+      watcher.on('ready', function() {
+        watcher.getWatchedPaths(function(paths) {
+          assert(!paths.some(function(p) { return /loop/.test(p); }), 'should skip the loop');
+          tree.modify('home/e/file1');
+          wait(function() {
+            assert.deepStrictEqual(changes, [tree.getPath('home/e/file1')]);
+            done();
+          }, 200);
+        });
+      });
     });
-    watcher.on('ready', function() {
-      tree.modify(file);
+
+    it('should follow the new target of a symbolic link', function(done) {
+      var home = tree.getPath('home');
+      var fpath = tree.getPath('home/link/file2');
+      tree.newFile('outside/one/file1');
+      tree.newFile('outside/two/file2');
+      tree.newSymLink('outside/one', 'home/link');
+      var options = { delay: 0, recursive: true, followSymlinks: true };
+      var times = 0;
+      watcher = watch(home, options, function(evt, name) {
+        if (name === fpath && evt === 'update' && !times++) done();
+      });
+      watcher.on('ready', function() {
+        tree.remove('home/link');
+        tree.newSymLink('outside/two', 'home/link');
+        tree.modify('outside/two/file2', 100);
+      });
     });
   });
 
-  it('should report `update` on new files', function(done) {
-    var dir = tree.getPath('home/a');
-    var file = 'home/a/newfile' + Date.now();
-    var fpath = tree.getPath(file);
-    watcher = watch(dir, function(evt, name) {
-      if (evt === 'update' && name === fpath) done();
+  describe('allowMissing', function() {
+    afterEach(function() {
+      if (watcher) watcher.close();
+      tree.remove('later');
     });
-    watcher.on('ready', function() {
-      tree.newFile(file);
+
+    it('should report a file once it is created', function(done) {
+      var fpath = tree.getPath('later/sub/file');
+      var options = { delay: 0, allowMissing: true };
+      watcher = watch(fpath, options, function(evt, name) {
+        assert.equal(evt, 'create');
+        assert.equal(name, fpath);
+        done();
+      });
+      watcher.on('error', done);
+      watcher.on('ready', function() {
+        tree.newFile('later/sub/file');
+      });
     });
-  });
-});
 
-describe('options', function() {
-  describe('recursive', function() {
-    it('should watch recursively with `recursive: true` option', function(done) {
-      var dir = tree.getPath('home');
-      var file = tree.getPath('home/bb/file1');
-      watcher = watch(dir, { recursive: true }, function(evt, name) {
-        if (file === name) {
+    it('should watch a directory once it is created', function(done) {
+      var dir = tree.getPath('later');
+      var fpath = tree.getPath('later/sub/file');
+      var changes = [];
+      var options = { delay: 0, recursive: true, allowMissing: true };
+      watcher = watch(dir, options, function(evt, name) {
+        changes.push(evt + ' ' + name);
+        if (name === fpath) {
+          assert.deepStrictEqual(changes, [
+            'create ' + dir, 'create ' + tree.getPath('later/sub'), 'create ' + fpath
+          ]);
           done();
         }
       });
       watcher.on('ready', function() {
-        tree.modify('home/bb/file1');
+        tree.newDir('later');
+        tree.newDir('later/sub', 200);
+        tree.newFile('later/sub/file', 400);
+      });
+    });
+
+    it('should keep watching after the directory is removed and created again', function(done) {
+      var dir = tree.getPath('later');
+      var fpath = tree.getPath('later/file');
+      var changes = [];
+      tree.newDir('later');
+      var options = { delay: 0, recursive: true, allowMissing: true };
+      watcher = watch(dir, options, function(evt, name) {
+        changes.push(evt + ' ' + name);
+        if (name === fpath) {
+          assert.deepStrictEqual(changes, [
+            'remove ' + dir, 'create ' + dir, 'create ' + fpath
+          ]);
+          assert(!watcher.isClosed());
+          done();
+        }
+      });
+      watcher.on('ready', function() {
+        tree.remove('later');
+        tree.newDir('later', 200);
+        tree.newFile('later/file', 400);
+      });
+    });
+
+    it('should watch the directory again when it is replaced', function(done) {
+      var dir = tree.getPath('later');
+      var fpath = tree.getPath('later/sub/file');
+      var changes = [];
+      tree.newFile('later/old');
+      var options = {
+        delay: 0,
+        recursive: true,
+        allowMissing: true,
+        filter: function(name, skip) {
+          if (/ignored/.test(name)) return skip;
+          return true;
+        }
+      };
+      watcher = watch(dir, options, function(evt, name) {
+        changes.push(evt + ' ' + name);
+      });
+      watcher.on('ready', function() {
+        tree.remove('later');
+        tree.newDir('later');
+        tree.newDir('later/sub', 200);
+        tree.newDir('later/ignored', 200);
+        tree.newFile('later/sub/file', 400);
+        tree.newFile('later/ignored/file', 400);
+        setTimeout(function() {
+          assert(changes.includes('remove ' + tree.getPath('later/old')));
+          assert(changes.includes('create ' + fpath));
+          assert(!changes.some(function(change) {
+            return /ignored/.test(change);
+          }));
+          assert(!watcher.isClosed());
+          done();
+        }, 700);
       });
     });
   });
@@ -559,24 +1445,439 @@ describe('options', function() {
             watched.sort(), paths.sort()
           );
 
-          done();
+          done();
+        });
+      });
+    });
+  });
+
+  describe('delay', function() {
+    it('should have delayed response', function(done) {
+      var dir = tree.getPath('home/a');
+      var file = 'home/a/file1';
+      var start;
+      watcher = watch(dir, { delay: 300 }, function(evt, name) {
+        assert(Date.now() - start >= 300, 'delay not working');
+        done();
+      });
+      watcher.on('ready', function() {
+        start = Date.now();
+        tree.modify(file);
+      });
+    });
+  });
+
+  describe('include and exclude', function() {
+    it('should only report the files matching `include`', function(done) {
+      var home = tree.getPath('home');
+      var changes = [];
+      watcher = watch(home, { delay: 0, recursive: true, include: '*/file2' }, function(evt, name) {
+        changes.push(name);
+      });
+      watcher.on('ready', function() {
+        tree.modify('home/a/file1');
+        tree.modify('home/deep_node_modules/ma/file2', 100);
+        tree.modify('home/b/file2', 200);
+        setTimeout(function() {
+          assert.deepStrictEqual(changes, [tree.getPath('home/b/file2')]);
+          done();
+        }, 400);
+      });
+    });
+
+    it('should not report anything under `exclude`', function(done) {
+      var home = tree.getPath('home');
+      var changes = [];
+      watcher = watch(home, { delay: 0, recursive: true, exclude: ['deep_node_modules', '**/file2'] }, function(evt, name) {
+        changes.push(name);
+      });
+      watcher.on('ready', function() {
+        tree.modify('home/deep_node_modules/ma/file1');
+        tree.modify('home/a/file2', 100);
+        tree.modify('home/a/file1', 200);
+        setTimeout(function() {
+          assert.deepStrictEqual(changes, [tree.getPath('home/a/file1')]);
+          done();
+        }, 400);
+      });
+    });
+
+    it('should skip the directories which can not match', function(done) {
+      var home = tree.getPath('home');
+      var options = { recursive: true, include: 'deep_node_modules/m[ab]/*', exclude: 'deep_node_modules/mb' };
+      watcher = watch(home, options);
+      watcher.getWatchedPaths(function(paths) {
+        paths.forEach(function(p) {
+          assert(p === home || /deep_node_modules(\/ma)?$/.test(p), p + ' should be skipped');
+        });
+        done();
+      });
+    });
+
+    it('should not skip directories with a RegExp filter', function(done) {
+      var dir = tree.getPath('home/e');
+      var options = { recursive: true, backend: 'emulated', filter: /file1$/, include: '**/file*', ignoreFiles: ['.ignore'] };
+      watcher = watch(dir, options);
+      watcher.getWatchedPaths(function(paths) {
+        assert.deepStrictEqual(paths.sort(), [dir, tree.getPath('home/e/sub')]);
+        done();
+      });
+    });
+  });
+
+  describe('ignoreFiles', function() {
+    afterEach(function() {
+      if (watcher) watcher.close();
+      ['home/.gitignore', 'home/e/.gitignore', 'home/.watchignore', 'home/a/x.log', 'home/a/keep.log'].forEach(function(name) {
+        tree.remove(name);
+      });
+    });
+
+    it('should leave out what the ignore files ignore', function(done) {
+      var home = tree.getPath('home');
+      var changes = [];
+      tree.write('home/.gitignore', 'deep_node_modules/\n*.log\n!keep.log\n');
+      watcher = watch(home, { delay: 0, recursive: true, ignoreFiles: ['.gitignore'] }, function(evt, name) {
+        changes.push(name);
+      });
+      watcher.on('ready', function() {
+        tree.modify('home/deep_node_modules/ma/file1');
+        tree.newFile('home/a/x.log', 100);
+        tree.newFile('home/a/keep.log', 200);
+        setTimeout(function() {
+          assert.deepStrictEqual(changes, [tree.getPath('home/a/keep.log')]);
+          done();
+        }, 400);
+      });
+    });
+
+    it('should leave out the removal of an ignored directory', function(done) {
+      var home = tree.getPath('home');
+      var changes = [];
+      tree.write('home/.gitignore', 'ignored_dir/\n');
+      tree.newFile('home/a/ignored_dir/file1');
+      watcher = watch(home, { delay: 0, recursive: true, ignoreFiles: ['.gitignore'] }, function(evt, name) {
+        changes.push(evt + ' ' + name);
+      });
+      watcher.on('ready', function() {
+        tree.remove('home/a/ignored_dir');
+        tree.modify('home/a/file1', 100);
+        setTimeout(function() {
+          assert.deepStrictEqual(changes, ['update ' + tree.getPath('home/a/file1')]);
+          done();
+        }, 300);
+      });
+    });
+
+    it('should read the ignore files at every level', function(done) {
+      var home = tree.getPath('home');
+      var changes = [];
+      tree.write('home/e/.gitignore', '/file1\n');
+      watcher = watch(home, { delay: 0, recursive: true, ignoreFiles: ['.gitignore'] }, function(evt, name) {
+        changes.push(name);
+      });
+      watcher.on('ready', function() {
+        tree.modify('home/e/file1');
+        tree.modify('home/a/file1', 100);
+        setTimeout(function() {
+          assert.deepStrictEqual(changes, [tree.getPath('home/a/file1')]);
+          done();
+        }, 300);
+      });
+    });
+
+    it('should skip the ignored directories', function(done) {
+      var home = tree.getPath('home');
+      tree.write('home/.gitignore', 'deep_node_modules\n');
+      watcher = watch(home, { recursive: true, ignoreFiles: ['.gitignore'] });
+      watcher.getWatchedPaths(function(paths) {
+        paths.forEach(function(p) {
+          assert(!/deep_node_modules/.test(p), p + ' should be skipped');
+        });
+        done();
+      });
+    });
+
+    it('should pick up the changes of ignore files', function(done) {
+      var home = tree.getPath('home');
+      var changes = [];
+      watcher = watch(home, { delay: 0, recursive: true, ignoreFiles: ['.watchignore'] }, function(evt, name) {
+        changes.push(name);
+      });
+      watcher.on('ready', function() {
+        tree.write('home/.watchignore', 'a/\n');
+        tree.modify('home/a/file1', 200);
+        tree.modify('home/b/file1', 300);
+        setTimeout(function() {
+          assert.deepStrictEqual(changes, [
+            tree.getPath('home/.watchignore'),
+            tree.getPath('home/b/file1')
+          ]);
+          done();
+        }, 500);
+      });
+    });
+
+    it('should watch the directories which are no longer ignored', function(done) {
+      var home = tree.getPath('home');
+      var fpath = tree.getPath('home/a/file1');
+      tree.write('home/.watchignore', 'a/\n');
+      watcher = watch(home, { delay: 0, recursive: true, ignoreFiles: ['.watchignore'] }, function(evt, name) {
+        if (name === fpath) done();
+      });
+      watcher.on('ready', function() {
+        tree.write('home/.watchignore', '');
+        tree.modify('home/a/file1', 200);
+      });
+    });
+  });
+
+  describe('initial', function() {
+    it('should report the existing files before `ready`', function(done) {
+      var dir = tree.getPath('home/deep_node_modules');
+      var changes = [];
+      watcher = watch(dir, { recursive: true, initial: true, filter: /(ma|mb)(\/|$)/ }, function(evt, name) {
+        changes.push(evt + ' ' + name);
+      });
+      watcher.on('ready', function() {
+        assert.deepStrictEqual(changes, [
+          'ma',
+          'ma/file1',
+          'ma/file2',
+          'mb',
+          'mb/file1',
+          'mb/file2'
+        ].map(function(name) {
+          return 'update ' + tree.getPath('home/deep_node_modules', name);
+        }));
+        done();
+      });
+    });
+
+    it('should report a watched file', function(done) {
+      var file = tree.getPath('home/a/file1');
+      var changes = [];
+      watcher = watch(file, { initial: true }, function(evt, name) {
+        changes.push(evt + ' ' + name);
+      });
+      watcher.on('ready', function() {
+        assert.deepStrictEqual(changes, ['update ' + file]);
+        done();
+      });
+    });
+
+    it('should report everything before `ready` of a composed watcher', function(done) {
+      var file1 = tree.getPath('home/a/file1');
+      var file2 = tree.getPath('home/d/file2');
+      var changes = [];
+      watcher = watch([file1, file2], { initial: true, details: true }, function(change) {
+        assert(change.stats.isFile());
+        changes.push(change.name);
+      });
+      watcher.on('ready', function() {
+        assert.deepStrictEqual(changes.sort(), [file1, file2]);
+        done();
+      });
+    });
+  });
+
+  describe('snapshot', function() {
+    afterEach(function() {
+      tree.remove('home/snap');
+      tree.remove('snapshot.json');
+    });
+
+    it('should report the changes made while not watching', function(done) {
+      var dir = tree.getPath('home/snap');
+      var file = tree.getPath('snapshot.json');
+      var changes = [];
+      tree.newFile('home/snap/keep');
+      tree.newFile('home/snap/modified');
+      tree.newFile('home/snap/removed');
+      var first = watch(dir, { snapshot: file }, function(evt, name) {
+        changes.push(evt + ' ' + name);
+      });
+      first.on('ready', function() {
+        first.close();
+      });
+      first.on('close', function() {
+        assert.deepStrictEqual(changes, []);
+        tree.write('home/snap/modified', 'changed');
+        tree.remove('home/snap/removed');
+        tree.newFile('home/snap/created');
+        watcher = watch(dir, { snapshot: file }, function(evt, name) {
+          changes.push(evt + ' ' + name);
+        });
+        watcher.on('ready', function() {
+          assert.deepStrictEqual(changes, [
+            'create ' + tree.getPath('home/snap/created'),
+            'update ' + tree.getPath('home/snap/modified'),
+            'remove ' + tree.getPath('home/snap/removed')
+          ]);
+          done();
+        });
+      });
+    });
+
+    it('should save the snapshot at intervals', function(done) {
+      var dir = tree.getPath('home/snap');
+      var file = tree.getPath('snapshot.json');
+      tree.newFile('home/snap/keep');
+      watcher = watch(dir, { snapshot: { file: file, interval: 50 } });
+      watcher.on('ready', function() {
+        setTimeout(function() {
+          var saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+          assert.deepStrictEqual(Object.keys(saved.roots[dir]), ['keep']);
+          done();
+        }, 150);
+      });
+    });
+  });
+
+  describe('backend', function() {
+    it('should watch each directory with the emulated backend', function(done) {
+      var dir = tree.getPath('home/e');
+      watcher = watch(dir, { recursive: true, backend: 'emulated' });
+      watcher.getWatchedPaths(function(paths) {
+        assert.deepStrictEqual(paths.sort(), [dir, tree.getPath('home/e/sub')]);
+        done();
+      });
+    });
+
+    it('should poll with the polling backend', function(done) {
+      var file = 'home/a/file2';
+      var fpath = tree.getPath(file);
+      watcher = watch(tree.getPath('home/a'), { backend: 'polling', interval: 50, delay: 0 }, function(evt, name) {
+        if (name === fpath) {
+          assert.equal(evt, 'update');
+          done();
+        }
+      });
+      watcher.on('ready', function() {
+        tree.modify(file, 100);
+      });
+    });
+
+    it('should throw on unknown backends', function() {
+      assert.throws(function() {
+        watch(tree.getPath('home/a'), { backend: 'inotify' });
+      }, /Unknown backend/);
+    });
+
+    it('should tell the capabilities', function() {
+      var caps = watch.capabilities();
+      assert.equal(caps.platform, process.platform);
+      assert.equal(caps.node, process.versions.node);
+      assert.deepStrictEqual(caps.backends.slice(-2), ['emulated', 'polling']);
+      if (process.platform === 'linux') {
+        var major = Number(process.versions.node.split('.')[0]);
+        assert.strictEqual(caps.recursive, major >= 20);
+      }
+    });
+  });
+
+  describe('concurrency', function() {
+    it('should report the progress of the scan before `ready`', function(done) {
+      var dir = tree.getPath('home/deep_node_modules');
+      var scans = [];
+      watcher = watch(dir, { recursive: true, concurrency: 1 });
+      watcher.on('scan', function(scan) {
+        scans.push(scan);
+      });
+      watcher.on('ready', function() {
+        assert.equal(scans.length, 4);
+        assert.deepStrictEqual(scans[scans.length - 1], { directories: 4, files: 4, pending: 0 });
+        done();
+      });
+    });
+
+    it('should sum up the progress of a composed watcher', function(done) {
+      var a = tree.getPath('home/deep_node_modules/ma');
+      var b = tree.getPath('home/deep_node_modules/mb');
+      var last;
+      watcher = watch([a, b], { concurrency: 1 });
+      watcher.on('scan', function(scan) {
+        last = scan;
+      });
+      watcher.on('ready', function() {
+        assert.deepStrictEqual(last, { directories: 2, files: 4, pending: 0 });
+        done();
+      });
+    });
+
+    it('should add up the progress of the added paths', function(done) {
+      var a = tree.getPath('home/deep_node_modules/ma');
+      var b = tree.getPath('home/deep_node_modules/mb');
+      var last;
+      watcher = watch(a, { concurrency: 1 });
+      watcher.on('ready', function() {
+        watcher.on('scan', function(scan) {
+          last = scan;
         });
+        watcher.add(b);
+      });
+      watcher.on('ready:' + b, function() {
+        assert.deepStrictEqual(last, { directories: 2, files: 4, pending: 0 });
+        done();
       });
     });
   });
 
-  describe('delay', function() {
-    it('should have delayed response', function(done) {
-      var dir = tree.getPath('home/a');
-      var file = 'home/a/file1';
-      var start;
-      watcher = watch(dir, { delay: 300 }, function(evt, name) {
-        assert(Date.now() - start >= 300, 'delay not working');
-        done();
+  describe('depth', function() {
+    it('should only report entries of the root with depth 0', function(done) {
+      var home = tree.getPath('home');
+      var changes = [];
+      watcher = watch(home, { delay: 0, recursive: true, depth: 0 }, function(evt, name) {
+        changes.push(name);
       });
       watcher.on('ready', function() {
-        start = Date.now();
-        tree.modify(file);
+        tree.modify('home/a/file1');
+        tree.newFile('home/depth0', 100);
+        setTimeout(function() {
+          assert.deepStrictEqual(changes, [tree.getPath('home/depth0')]);
+          watcher.getWatchedPaths(function(paths) {
+            assert.deepStrictEqual(paths, [home]);
+            done();
+          });
+        }, 300);
+      });
+    });
+
+    it('should limit the levels of directories being reported', function(done) {
+      var home = tree.getPath('home');
+      var changes = [];
+      watcher = watch(home, { delay: 0, recursive: true, depth: 1 }, function(evt, name) {
+        changes.push(name);
+      });
+      watcher.on('ready', function() {
+        tree.modify('home/deep_node_modules/ma/file1');
+        tree.modify('home/a/file1', 100);
+        setTimeout(function() {
+          assert.deepStrictEqual(changes, [tree.getPath('home/a/file1')]);
+          done();
+        }, 300);
+      });
+    });
+
+    it('should apply to new created directories', function(done) {
+      var home = tree.getPath('home');
+      var changes = [];
+      watcher = watch(home, { delay: 0, recursive: true, depth: 1 }, function(evt, name) {
+        changes.push(name);
+      });
+      watcher.on('ready', function() {
+        tree.newDir('home/depth1');
+        tree.newDir('home/depth1/sub', 100);
+        tree.newFile('home/depth1/file', 200);
+        tree.newFile('home/depth1/sub/file', 300);
+        setTimeout(function() {
+          assert.deepStrictEqual(changes, [
+            tree.getPath('home/depth1'),
+            tree.getPath('home/depth1/sub'),
+            tree.getPath('home/depth1/file')
+          ]);
+          done();
+        }, 500);
       });
     });
   });
@@ -624,6 +1925,39 @@ describe('parameters', function() {
     });
   });
 
+  it('should accept glob patterns', function(done) {
+    var pattern = tree.getPath('home') + '/{a,b}/file1';
+    var changes = [];
+    watcher = watch(pattern, { delay: 0 }, function(evt, name) {
+      changes.push(name);
+    });
+    watcher.on('ready', function() {
+      tree.modify('home/a/file2');
+      tree.modify('home/b/file1', 100);
+      setTimeout(function() {
+        assert.deepStrictEqual(changes, [tree.getPath('home/b/file1')]);
+        done();
+      }, 300);
+    });
+  });
+
+  it('should exclude negated glob patterns', function(done) {
+    var home = tree.getPath('home');
+    var changes = [];
+    watcher = watch([home + '/**/file1', '!' + home + '/d'], { delay: 0 }, function(evt, name) {
+      changes.push(name);
+    });
+    watcher.on('ready', function() {
+      tree.modify('home/d/file1');
+      tree.modify('home/e/file2', 100);
+      tree.modify('home/e/file1', 200);
+      setTimeout(function() {
+        assert.deepStrictEqual(changes, [tree.getPath('home/e/file1')]);
+        done();
+      }, 400);
+    });
+  });
+
   it('should filter duplicate events for composed watcher', function(done) {
     var home = 'home';
     var dir = 'home/a';
@@ -804,4 +2138,598 @@ describe('watcher object', function() {
       });
     });
   });
+
+  describe('add()', function() {
+    it('should watch more paths with the same options', function(done) {
+      var a = tree.getPath('home/a');
+      var b = tree.getPath('home/b');
+      var fpath = tree.getPath('home/b/file1');
+      watcher = watch(a, { delay: 0 }, function(evt, name) {
+        assert.equal(name, fpath);
+        done();
+      });
+      watcher.add(b);
+      watcher.on('ready:' + b, function() {
+        watcher.getWatchedPaths(function(paths) {
+          assert.deepStrictEqual(paths.sort(), [a, b]);
+          tree.modify('home/b/file1');
+        });
+      });
+    });
+
+    it('should work with composed watcher', function(done) {
+      var a = tree.getPath('home/a');
+      var b = tree.getPath('home/b');
+      var d = tree.getPath('home/d');
+      var fpath = tree.getPath('home/d/file1');
+      watcher = watch([a, b], { delay: 0 }, function(evt, name) {
+        assert.equal(name, fpath);
+        done();
+      });
+      watcher.on('ready', function() {
+        watcher.add(d);
+      });
+      watcher.on('ready:' + d, function() {
+        tree.modify('home/d/file1');
+      });
+    });
+
+    it('should not emit `ready` again for the added paths', function(done) {
+      var a = tree.getPath('home/a');
+      var b = tree.getPath('home/b');
+      var ready = 0;
+      watcher = watch(a, { delay: 0 });
+      watcher.on('ready', function() {
+        ready++;
+        watcher.add(b);
+      });
+      watcher.on('ready:' + b, function() {
+        setTimeout(function() {
+          assert.equal(ready, 1);
+          done();
+        }, 50);
+      });
+    });
+  });
+
+  describe('pause() and resume()', function() {
+    it('should drop the changes made while paused', function(done) {
+      var dir = tree.getPath('home/a');
+      var changes = [];
+      watcher = watch(dir, { delay: 0 }, function(evt, name) {
+        changes.push(evt + ' ' + name);
+      });
+      watcher.on('ready', function() {
+        watcher.pause();
+        tree.modify('home/a/file1');
+        tree.newFile('home/a/paused1');
+        setTimeout(function() {
+          watcher.resume();
+          tree.modify('home/a/paused1');
+        }, 200);
+        setTimeout(function() {
+          assert.deepStrictEqual(changes, ['update ' + tree.getPath('home/a/paused1')]);
+          done();
+        }, 400);
+      });
+    });
+
+    it('should replay the net changes made while paused', function(done) {
+      var dir = tree.getPath('home/a');
+      var changes = [];
+      watcher = watch(dir, { delay: 0 }, function(evt, name) {
+        changes.push(evt + ' ' + name);
+      });
+      watcher.on('ready', function() {
+        watcher.pause();
+        tree.modify('home/a/file1');
+        tree.modify('home/a/file1', 50);
+        tree.newFile('home/a/paused2', 50);
+        tree.remove('home/a/paused2', 100);
+        setTimeout(function() {
+          assert.deepStrictEqual(changes, []);
+          watcher.resume({ replay: true });
+        }, 200);
+        setTimeout(function() {
+          assert.deepStrictEqual(changes, ['update ' + tree.getPath('home/a/file1')]);
+          done();
+        }, 400);
+      });
+    });
+
+    it('should work with composed watcher', function(done) {
+      var a = tree.getPath('home/a');
+      var b = tree.getPath('home/b');
+      var changes = [];
+      watcher = watch([a, b], { delay: 0 }, function(evt, name) {
+        changes.push(name);
+      });
+      watcher.on('ready', function() {
+        watcher.pause();
+        tree.modify('home/a/file1');
+        tree.modify('home/b/file1');
+        setTimeout(function() {
+          assert.deepStrictEqual(changes, []);
+          watcher.resume({ replay: true });
+        }, 200);
+        setTimeout(function() {
+          assert.deepStrictEqual(changes.sort(), [
+            tree.getPath('home/a/file1'),
+            tree.getPath('home/b/file1')
+          ]);
+          done();
+        }, 400);
+      });
+    });
+  });
+
+  describe('shared handles', function() {
+    var other;
+
+    afterEach(function() {
+      if (other) {
+        other.close();
+        other = null;
+      }
+    });
+
+    it('should share the handle of the same directory', function(done) {
+      var dir = tree.getPath('home/a');
+      var size = Pool.shared.size();
+      var names = [];
+      var filtered = [];
+      other = watch(dir, { delay: 0 }, function(evt, name) {
+        names.push(name);
+      });
+      watcher = watch(dir, { delay: 50, filter: /file2/ }, function(evt, name) {
+        filtered.push(name);
+      });
+      watcher.on('ready', function() {
+        assert.equal(Pool.shared.size(), size + 1);
+        tree.modify('home/a/file1');
+        tree.modify('home/a/file2', 50);
+        setTimeout(function() {
+          assert.deepStrictEqual(names, [tree.getPath('home/a/file1'), tree.getPath('home/a/file2')]);
+          assert.deepStrictEqual(filtered, [tree.getPath('home/a/file2')]);
+          other.close();
+          other = null;
+          assert.equal(Pool.shared.size(), size + 1);
+          watcher.close();
+          assert.equal(Pool.shared.size(), size);
+          done();
+        }, 300);
+      });
+    });
+
+    it('should not share the handle of a removed directory', function(done) {
+      var dir = tree.getPath('home/recreate');
+      var names = [];
+      tree.newFile('home/recreate/f');
+      other = watch(dir, { delay: 0 });
+      other.on('ready', function() {
+        tree.remove('home/recreate');
+        setTimeout(function() {
+          tree.newFile('home/recreate/g');
+          watcher = watch(dir, { delay: 0 }, function(evt, name) {
+            names.push(evt + ' ' + name);
+          });
+          watcher.on('ready', function() {
+            tree.modify('home/recreate/g');
+            setTimeout(function() {
+              tree.remove('home/recreate');
+              assert.deepStrictEqual(names, ['update ' + tree.getPath('home/recreate/g')]);
+              done();
+            }, 200);
+          });
+        }, 100);
+      });
+    });
+
+    it('should share a recursive handle with the directories under it', function(done) {
+      var home = tree.getPath('home');
+      var dir = tree.getPath('home/b');
+      var size = Pool.shared.size();
+      var names = [];
+      other = watch(home, { recursive: true, delay: 0 });
+      watcher = watch(dir, { delay: 0 }, function(evt, name) {
+        names.push(name);
+      });
+      watcher.on('ready', function() {
+        hasNativeRecursive(function(supportRecursive) {
+          if (supportRecursive) {
+            assert.equal(Pool.shared.size(), size + 1);
+          }
+          tree.modify('home/b/file1');
+          tree.modify('home/bb/file1');
+          setTimeout(function() {
+            assert.deepStrictEqual(names, [tree.getPath('home/b/file1')]);
+            done();
+          }, 200);
+        });
+      });
+    });
+  });
+
+  describe('clock() and since()', function() {
+    afterEach(function() {
+      tree.remove('home/a/since1');
+    });
+
+    it('should tell the changes since a clock', function(done) {
+      var dir = tree.getPath('home/a');
+      var created = tree.getPath('home/a/since1');
+      var file = tree.getPath('home/a/file1');
+      watcher = watch(dir, { delay: 0 });
+      watcher.on('ready', function() {
+        var clock = watcher.clock();
+        tree.modify('home/a/file1');
+        tree.newFile('home/a/since1');
+        setTimeout(function() {
+          var result = watcher.since(clock);
+          assert.strictEqual(result.fresh, false);
+          assert.deepStrictEqual(result.created, [created]);
+          assert.deepStrictEqual(result.updated, [file]);
+          assert.deepStrictEqual(result.removed, []);
+          clock = result.clock;
+          tree.remove('home/a/since1');
+        }, 200);
+        setTimeout(function() {
+          var result = watcher.since(clock);
+          assert.deepStrictEqual(result.created, []);
+          assert.deepStrictEqual(result.updated, []);
+          assert.deepStrictEqual(result.removed, [created]);
+          done();
+        }, 400);
+      });
+    });
+
+    it('should give everything for an unknown clock', function(done) {
+      var dir = tree.getPath('home/deep_node_modules/ma');
+      watcher = watch(dir);
+      watcher.on('ready', function() {
+        var result = watcher.since('c:unknown:1');
+        assert.strictEqual(result.fresh, true);
+        assert.deepStrictEqual(result.created, [
+          tree.getPath('home/deep_node_modules/ma/file1'),
+          tree.getPath('home/deep_node_modules/ma/file2')
+        ]);
+        done();
+      });
+    });
+
+    it('should forget the oldest removals beyond the limit', function() {
+      var entries = new Entries(2);
+      ['a', 'b', 'c', 'd'].forEach(function(name) {
+        entries.set('/since/' + name);
+      });
+      var clock = Entries.clock();
+      entries.remove('/since/a');
+      var later = Entries.clock();
+      entries.remove('/since/b');
+      entries.remove('/since/c');
+      assert.strictEqual(entries.info('/since/a'), null);
+      assert.strictEqual(entries.info('/since/b'), null);
+      assert.deepStrictEqual(entries.since(clock), {
+        fresh: true, created: ['/since/d'], updated: [], removed: []
+      });
+      assert.deepStrictEqual(entries.since(later), {
+        fresh: true, created: ['/since/d'], updated: [], removed: []
+      });
+      entries.set('/since/e');
+      assert.deepStrictEqual(entries.since(Entries.clock() - 1), {
+        fresh: false, created: ['/since/e'], updated: [], removed: []
+      });
+    });
+  });
+
+  describe('list()', function() {
+    it('should list the known entries matching a pattern', function(done) {
+      var dir = tree.getPath('home/deep_node_modules');
+      watcher = watch(dir, { recursive: true });
+      watcher.on('ready', function() {
+        assert.deepStrictEqual(watcher.list('*/file1'), [
+          tree.getPath('home/deep_node_modules/ma/file1'),
+          tree.getPath('home/deep_node_modules/mb/file1')
+        ]);
+        assert(watcher.list().indexOf(tree.getPath('home/deep_node_modules/mc')) !== -1);
+        done();
+      });
+    });
+
+    it('should work with composed watcher', function(done) {
+      var a = tree.getPath('home/deep_node_modules/ma');
+      var b = tree.getPath('home/deep_node_modules/mb');
+      watcher = watch([a, b]);
+      watcher.on('ready', function() {
+        assert.deepStrictEqual(watcher.list('file2'), [
+          tree.getPath('home/deep_node_modules/ma/file2'),
+          tree.getPath('home/deep_node_modules/mb/file2')
+        ]);
+        done();
+      });
+    });
+
+    it('should leave out everything under a removed or moved directory', function() {
+      var entries = new Entries();
+      ['a', 'a/b', 'a/b/c', 'a/bc', 'x/y/z', 'x/y/w'].forEach(function(name) {
+        entries.set(path.resolve('/entries', name));
+      });
+      entries.remove(path.resolve('/entries/a/b'));
+      // the directories in between aren't known
+      entries.move(path.resolve('/entries/x'), path.resolve('/entries/a/x'));
+      assert.deepStrictEqual(entries.keys().sort(), [
+        path.resolve('/entries/a'),
+        path.resolve('/entries/a/bc'),
+        path.resolve('/entries/a/x/y/w'),
+        path.resolve('/entries/a/x/y/z')
+      ]);
+      entries.remove(path.resolve('/entries'));
+      assert.deepStrictEqual(entries.keys(), []);
+      assert.deepStrictEqual(entries.children, {});
+    });
+  });
+
+  describe('unwatch()', function() {
+    it('should stop watching a subtree', function(done) {
+      var home = tree.getPath('home');
+      var a = tree.getPath('home/a');
+      var changes = [];
+      watcher = watch(home, { delay: 0, recursive: true }, function(evt, name) {
+        changes.push(name);
+      });
+      watcher.on('ready', function() {
+        watcher.unwatch(a);
+      });
+      watcher.on('close:' + a, function() {
+        tree.modify('home/a/file1');
+        tree.modify('home/b/file1', 100);
+        setTimeout(function() {
+          assert.deepStrictEqual(changes, [tree.getPath('home/b/file1')]);
+          watcher.getWatchedPaths(function(paths) {
+            assert(!paths.includes(a));
+            assert(!watcher.isClosed());
+            done();
+          });
+        }, 300);
+      });
+    });
+
+    it('should stop watching the paths of composed watcher', function(done) {
+      var a = tree.getPath('home/a');
+      var b = tree.getPath('home/b');
+      var changes = [];
+      watcher = watch([a, b], { delay: 0 }, function(evt, name) {
+        changes.push(name);
+      });
+      watcher.on('ready', function() {
+        watcher.unwatch(b);
+      });
+      watcher.on('close:' + b, function() {
+        tree.modify('home/b/file1');
+        tree.modify('home/a/file1', 100);
+        setTimeout(function() {
+          assert.deepStrictEqual(changes, [tree.getPath('home/a/file1')]);
+          watcher.getWatchedPaths(function(paths) {
+            assert.deepStrictEqual(paths, [a]);
+            done();
+          });
+        }, 300);
+      });
+    });
+
+    it('should close the watcher once nothing is left', function(done) {
+      var a = tree.getPath('home/a');
+      var events = [];
+      watcher = watch(a);
+      watcher.on('ready', function() {
+        watcher.unwatch(a);
+      });
+      watcher.on('close:' + a, function() {
+        events.push('close:' + a);
+      });
+      watcher.on('close', function() {
+        events.push('close');
+        assert.deepStrictEqual(events, ['close:' + a, 'close']);
+        assert(watcher.isClosed());
+        done();
+      });
+    });
+
+    it('should leave alone the paths not watched by the added ones', function(done) {
+      var a = tree.getPath('home/a');
+      var b = tree.getPath('home/b');
+      var c = tree.getPath('home/b/sub/file1');
+      var events = [];
+      watcher = watch(a);
+      watcher.on('close:' + c, function() {
+        events.push('close:' + c);
+      });
+      watcher.on('ready:' + b, function() {
+        watcher.unwatch(c);
+        setTimeout(function() {
+          assert.deepStrictEqual(events, []);
+          done();
+        }, 50);
+      });
+      watcher.add(b);
+    });
+
+    it('should leave alone the paths not being watched', function(done) {
+      var a = tree.getPath('home/a');
+      var b = tree.getPath('home/b');
+      var c = tree.getPath('home/c');
+      var events = [];
+      watcher = watch([a, b]);
+      watcher.on('close:' + c, function() {
+        events.push('close:' + c);
+      });
+      watcher.on('ready', function() {
+        watcher.unwatch(c);
+        setTimeout(function() {
+          assert.deepStrictEqual(events, []);
+          assert(!watcher.isClosed());
+          done();
+        }, 50);
+      });
+    });
+  });
+});
+
+describe('promises', function() {
+  it('should iterate the changes', function() {
+    var file = 'home/a/file1';
+    var fpath = tree.getPath(file);
+    var changes = promises.watch(tree.getPath('home/a'), { delay: 0 });
+    watcher = changes.watcher;
+    return changes.ready().then(function() {
+      tree.modify(file, 100);
+      return changes.next();
+    }).then(function(result) {
+      assert.strictEqual(result.done, false);
+      assert.deepStrictEqual(result.value, { evt: 'update', name: fpath });
+      return changes.return();
+    }).then(function(result) {
+      assert.strictEqual(result.done, true);
+      assert(watcher.isClosed());
+    });
+  });
+
+  it('should give the watched paths', function() {
+    var dir = tree.getPath('home/a');
+    var changes = promises.watch(dir);
+    watcher = changes.watcher;
+    return changes.getWatchedPaths().then(function(paths) {
+      assert.deepStrictEqual(paths, [dir]);
+    });
+  });
+
+  it('should reject `ready()` when the watcher fails first', function() {
+    var changes = promises.watch(tree.getPath('home/missing'));
+    watcher = changes.watcher;
+    return Promise.all([
+      changes.ready().then(function() {
+        assert.fail('resolved');
+      }, function(err) {
+        assert(/does not exist/.test(err.message));
+      }),
+      changes.getWatchedPaths().then(function() {
+        assert.fail('resolved');
+      }, function(err) {
+        assert(/does not exist/.test(err.message));
+      })
+    ]);
+  });
+
+  it('should reject `ready()` when closed first', function() {
+    var changes = promises.watch(tree.getPath('home/a'));
+    watcher = changes.watcher;
+    var ready = changes.ready();
+    watcher.close();
+    return ready.then(function() {
+      assert.fail('resolved');
+    }, function(err) {
+      assert(/closed/.test(err.message));
+    });
+  });
+
+  it('should end the iteration when closed', function() {
+    var changes = promises.watch(tree.getPath('home/a'));
+    watcher = changes.watcher;
+    var next = changes.next();
+    return changes.close().then(function() {
+      return next;
+    }).then(function(result) {
+      assert.strictEqual(result.done, true);
+    });
+  });
+
+  it('should reject on errors', function() {
+    var changes = promises.watch(tree.getPath('home/a'));
+    watcher = changes.watcher;
+    var next = changes.next();
+    watcher.emit('error', new Error('boom'));
+    return next.then(function() {
+      throw new Error('should not resolve');
+    }, function(err) {
+      assert.strictEqual(err.message, 'boom');
+      assert(watcher.isClosed());
+    });
+  });
+
+  it('should close the watcher with an AbortSignal', function() {
+    if (typeof AbortController === 'undefined') {
+      return this.skip();
+    }
+    var ac = new AbortController();
+    var changes = promises.watch(tree.getPath('home/a'), { signal: ac.signal });
+    watcher = changes.watcher;
+    var next = changes.next();
+    ac.abort();
+    return next.then(function() {
+      throw new Error('should not resolve');
+    }, function(err) {
+      assert.strictEqual(err.name, 'AbortError');
+      assert(watcher.isClosed());
+    });
+  });
+
+  describe('waitFor()', function() {
+    afterEach(function() {
+      tree.remove('home/a/waitfor1');
+      tree.remove('home/a/waitfor2');
+    });
+
+    it('should be there when the promises API is loaded first', function() {
+      var script = "require('./lib/promises');"
+        + "process.stdout.write(typeof require('./lib/watch').waitFor);";
+      var out = execFileSync(process.execPath, ['-e', script], {
+        cwd: path.join(__dirname, '..')
+      });
+      assert.strictEqual(String(out), 'function');
+    });
+
+    it('should resolve once a missing file is created', function() {
+      var fpath = tree.getPath('home/a/waitfor1');
+      tree.newFile('home/a/waitfor1', 100);
+      return watch.waitFor(fpath, { event: 'create', delay: 0 }).then(function(change) {
+        assert.deepStrictEqual(change, { evt: 'create', name: fpath });
+      });
+    });
+
+    it('should only resolve with the given events', function() {
+      var fpath = tree.getPath('home/a/file1');
+      tree.modify('home/a/file1', 100);
+      tree.modify('home/b/file1', 200);
+      return watch.waitFor(tree.getPath('home'), {
+        recursive: true,
+        event: 'update',
+        filter: /b/,
+        delay: 0
+      }).then(function(change) {
+        assert.deepStrictEqual(change, { evt: 'update', name: tree.getPath('home/b/file1') });
+      });
+    });
+
+    it('should reject on timeout', function() {
+      return watch.waitFor(tree.getPath('home/a/waitfor2'), { timeout: 100 }).then(function() {
+        throw new Error('should not resolve');
+      }, function(err) {
+        assert.strictEqual(err.code, 'ETIMEDOUT');
+      });
+    });
+
+    it('should wait for the changes to settle', function() {
+      var fpath = tree.getPath('home/a/waitfor2');
+      var modified = false;
+      tree.newFile('home/a/waitfor2', 100);
+      setTimeout(function() {
+        tree.modify('home/a/waitfor2');
+        modified = true;
+      }, 250);
+      return watch.waitFor(fpath, { event: 'create', settled: 300, delay: 0 }).then(function(change) {
+        assert(modified);
+        assert.deepStrictEqual(change, { evt: 'create', name: fpath });
+      });
+    });
+  });
 });
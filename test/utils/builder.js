@@ -95,12 +95,32 @@ module.exports = function builder() {
         fs.appendFileSync(filePath, 'hello');
       }, delay);
     },
+    write: function(fpath, content, delay) {
+      var filePath = this.getPath(fpath);
+      maybeDelay(function() {
+        fs.writeFileSync(filePath, content);
+      }, delay);
+    },
+    touch: function(fpath, delay) {
+      var filePath = this.getPath(fpath);
+      maybeDelay(function() {
+        var now = new Date();
+        fs.utimesSync(filePath, now, now);
+      }, delay);
+    },
     remove: function(fpath, delay) {
       var filePath = this.getPath(fpath);
       maybeDelay(function() {
         fs.removeSync(filePath);
       }, delay);
     },
+    move: function(from, to, delay) {
+      var fromPath = this.getPath(from);
+      var toPath = this.getPath(to);
+      maybeDelay(function() {
+        fs.moveSync(fromPath, toPath);
+      }, delay);
+    },
     newFile: function(fpath, delay) {
       var filePath = this.getPath(fpath);
       maybeDelay(function() {